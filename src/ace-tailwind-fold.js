@@ -12,205 +12,1253 @@
  * const foldHandler = new TailwindFoldHandler(editor, {
  *   minClasses: 4,
  *   autoFold: false,
- *   placeholder: '···',
+ *   disabledModes: ['css', 'ace/mode/markdown'], // Modes where nothing is folded
+ *   placeholder: '{first:2} +{rest}', // Or a plain string like '···'
  *   attributes: ['custom-class'], // These will be added to default attributes
+ *   functions: ['classes'], // These will be added to default class utility functions
  *   modes: {
  *     // Custom mode configuration
  *     'ace/mode/custom': {
- *       pattern: /(?:custom-attr)\s*=\s*["']/ // Custom pattern
+ *       pattern: /(?:custom-attr)\s*=\s*["']/, // Custom pattern
+ *       tokens: false // Match with the pattern alone, ignoring Ace tokens
+ *     },
+ *     // Serializable definition, see mode-definitions.js
+ *     'ace/mode/html': {
+ *       attributes: ['data-tw'],
+ *       extend: true // Keep the built-in attributes too
  *     }
  *   }
  * });
  */
 
+import FoldTooltip from './fold-tooltip.js';
+import FoldDiagnostics from './fold-diagnostics.js';
+import { renderPlaceholder } from './tailwind-classes.js';
+import {
+    ClassScanner,
+    DEFAULT_ATTRIBUTES,
+    DEFAULT_FUNCTIONS,
+    DIRECTIVE_PREFIX,
+    findElementName,
+    findIgnoredRows,
+    meetsThresholds,
+    toModeId
+} from './class-scanner.js';
+import { sortClassString } from './tailwind-sort.js';
+import { DEFAULT_CHECKS, findClassProblems, removeClasses } from './class-diagnostics.js';
+
 const Range = ace.require('ace/range').Range;
+const oop = ace.require('ace/lib/oop');
+const { EventEmitter } = ace.require('ace/lib/event_emitter');
+
+// Line states of fenced code blocks (e.g. Markdown) whose content is only a sample
+const CODE_SAMPLE_STATE = /githubblock|codeblock/i;
+// Markup line used to check whether a mode tokenizes attributes at all
+const TOKEN_PROBE = '<a class="b">';
+// Attribute bindings whose quoted value is an expression rather than a class list
+const BINDING_ATTRIBUTE = /(?:^|[\s<])(?::|v-bind:|x-bind:|\[)[\w.:-]*\]?\s*=\s*$/;
+// Session state swapped in and out of the handler when the editor changes session
+const SESSION_STATE_KEYS = ['folds', 'values', 'sessionFolds', 'dirtyRows', 'ignoredRows', 'fullScanPending', 'sessionFolding', 'expanded', 'excluded'];
+
+/**
+ * Commands of the handler with their default key bindings, null for none.
+ * Any of them can be rebound with the `keybindings` option.
+ */
+export const DEFAULT_KEYBINDINGS = {
+    toggleTailwindFold: { win: 'Alt-T', mac: 'Ctrl-Option-T' },
+    foldAllClasses: null,
+    unfoldAllClasses: null,
+    toggleAutoFold: null,
+    foldClassAtCursor: null,
+    unfoldClassAtCursor: null,
+    togglePinClassAtCursor: null,
+    sortTailwindClasses: null,
+    sortAllTailwindClasses: null,
+    removeOverriddenClasses: null,
+    nextClassFold: null,
+    previousClassFold: null
+};
+
+/**
+ * Signals `update` when the discovered class values or their folds change,
+ * e.g. to refresh a list of them.
+ */
+export default class TailwindFoldHandler {
+    /**
+     * Creates a new TailwindFoldHandler instance
+     * @param {Object} editor - Ace editor instance
+     * @param {Object} options - Configuration options
+     * @param {number} [options.minClasses=3] - Minimum number of classes before folding
+     * @param {number} [options.minLength=0] - Minimum number of characters in the value, 0 to skip
+     * @param {boolean} [options.overflowOnly=false] - Only fold values on lines wider than the editor
+     * @param {boolean} [options.multiLineOnly=false] - Only fold values spanning several lines
+     * @param {string} [options.foldWhen='all'] - Whether `all` the thresholds above must be met, or `any` of them
+     * @param {string|Function} [options.placeholder='...'] - Text to show when folded. Supports the
+     *   `{count}`, `{first}`, `{first:N}`, `{last}` and `{rest}` tokens, or a `(classes) => string` callback
+     * @param {boolean} [options.autoFold=true] - Whether to fold automatically on changes
+     * @param {string[]} [options.attributes=[]] - Additional attributes to watch for folding
+     * @param {string[]} [options.functions=[]] - Additional class utility functions whose string arguments are folded
+     * @param {boolean} [options.foldWidgets=true] - Whether to show gutter fold widgets on rows with class folds
+     * @param {boolean} [options.tooltip=true] - Whether hovering or long-pressing a fold lists its classes
+     * @param {string[]} [options.disabledModes=[]] - Modes where nothing is folded, as `css` or `ace/mode/css`
+     * @param {Object} [options.modes] - Custom mode configurations by `html` or `ace/mode/html`, with a
+     *   compiled `pattern` or as serializable definitions (see mode-definitions.js)
+     * @param {Object|boolean} [options.diagnostics] - Class problems to flag: `duplicates`, `conflicts`
+     *   and `empty`, all on by default. `false` turns them all off.
+     * @param {number} [options.visibleClasses=0] - Classes left visible in front of the fold, 0 folds the whole value
+     * @param {number} [options.visibleChars=0] - Most characters left visible in front of the fold
+     * @param {boolean} [options.visibleLayout=false] - Count only layout classes (display, position,
+     *   flex, grid) towards `visibleClasses`
+     * @param {Object} [options.keybindings] - Key bindings by command name, as `'Ctrl-Alt-F'` or
+     *   `{ win, mac }`, null to unbind. See `DEFAULT_KEYBINDINGS` for the commands.
+     */
+    constructor(editor, options = {}) {
+        this.editor = editor;
+        this.defaultAttributes = [...DEFAULT_ATTRIBUTES];
+        this.defaultFunctions = [...DEFAULT_FUNCTIONS];
+
+        this.options = {
+            minClasses: 3,
+            minLength: 0,
+            overflowOnly: false,
+            multiLineOnly: false,
+            foldWhen: 'all',
+            placeholder: '...',
+            autoFold: true,
+            attributes: [],
+            functions: [],
+            foldWidgets: true,
+            tooltip: true,
+            disabledModes: [],
+            modes: {},
+            diagnostics: { ...DEFAULT_CHECKS },
+            visibleClasses: 0,
+            visibleChars: 0,
+            visibleLayout: false,
+            keybindings: {},
+            ...options
+        };
+
+        // Merge custom attributes and functions with defaults
+        this.options.attributes = [
+            ...this.defaultAttributes,
+            ...this.options.attributes
+        ];
+        this.options.functions = [
+            ...this.defaultFunctions,
+            ...this.options.functions
+        ];
+
+        this.sessions = new Map(); // EditSession -> fold state saved while it isn't shown
+        this.tokenSupport = new Map(); // Mode id -> whether its tokens describe markup
+        this.isCursorInFold = false; // A cursor or selection touched a class attribute on the last move
+        this.setupScanner();
+        // Store bound methods for proper cleanup
+        this.handleChange = this.handleChange.bind(this);
+        this.handleCursorChange = this.handleCursorChange.bind(this);
+        this.handleModeChange = this.handleModeChange.bind(this);
+        this.handleFoldChange = this.handleFoldChange.bind(this);
+        this.handleSessionChange = this.handleSessionChange.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.getFoldWidget = this.getFoldWidget.bind(this);
+        this.onFoldWidgetClick = this.onFoldWidgetClick.bind(this);
+        this.setupEditor();
+    }
+
+    /**
+     * Creates the fold state kept for each session
+     * @private
+     * @returns {Object}
+     */
+    createSessionState() {
+        const state = {
+            folds: new Set(), // Fold records, anchored so they move with edits
+            values: new Set(), // Records of every class value found, also the ones too short to fold
+            sessionFolds: new WeakSet(), // Ace folds added by this handler
+            dirtyRows: null,
+            ignoredRows: null, // Rows turned off by directives, found again on full scans
+            fullScanPending: true,
+            sessionFolding: null,
+            expanded: false, // Everything expanded with expandAll, only folds pinned folded stay
+            excluded: false, // Folding turned off for the whole session, e.g. an excluded file
+            isStale: false,
+            restore: null // Saved fold state to apply once the session is shown
+        };
+        state.markStale = () => {
+            state.isStale = true;
+        };
+        return state;
+    }
+
+    /**
+     * Makes a session the one the handler works on, restoring the folds
+     * it had when it was last shown
+     * @private
+     * @param {Object} session - Ace EditSession
+     */
+    attachSession(session) {
+        let state = this.sessions.get(session);
+        const isNew = !state;
+        if (isNew) {
+            state = this.createSessionState();
+            this.sessions.set(session, state);
+        }
+
+        session.off('change', state.markStale);
+        SESSION_STATE_KEYS.forEach(key => {
+            this[key] = state[key];
+        });
+        // Edited while hidden (e.g. reloaded from disk), so positions can't be trusted
+        if (state.isStale) {
+            this.fullScanPending = true;
+            state.isStale = false;
+        }
+
+        session.on('changeMode', this.handleModeChange);
+        session.on('changeFold', this.handleFoldChange);
+        this.setupFoldWidgets();
+
+        if (isNew) {
+            // Initial fold discovery
+            this.updateFolds(!this.options.autoFold);
+        } else if (this.fullScanPending || this.dirtyRows) {
+            this.updateFolds(!this.options.autoFold);
+        }
+        // Excluded while hidden
+        if (this.excluded) {
+            this.removeClassFolds();
+        }
+
+        if (state.restore) {
+            this.applyFoldState(state.restore);
+            state.restore = null;
+        }
+        this._signal('update');
+    }
+
+    /**
+     * Stops working on a session and keeps its fold state for later
+     * @private
+     * @param {Object} session - Ace EditSession
+     */
+    detachSession(session) {
+        const state = this.sessions.get(session);
+        if (!state) return;
+
+        if (this.changeTimeout) {
+            clearTimeout(this.changeTimeout);
+            this.changeTimeout = null;
+        }
+        if (this.autoFoldTimeout) {
+            clearTimeout(this.autoFoldTimeout);
+            this.autoFoldTimeout = null;
+        }
+        if (this.foldChangeTimeout) {
+            clearTimeout(this.foldChangeTimeout);
+            this.foldChangeTimeout = null;
+        }
+
+        session.off('changeMode', this.handleModeChange);
+        session.off('changeFold', this.handleFoldChange);
+        this.removeFoldWidgets(session);
+
+        SESSION_STATE_KEYS.forEach(key => {
+            state[key] = this[key];
+        });
+        state.sessionFolding = null;
+        session.on('change', state.markStale);
+    }
+
+    handleSessionChange({ session, oldSession }) {
+        if (this.tooltip) this.tooltip.hide();
+        if (oldSession) this.detachSession(oldSession);
+        if (session) this.attachSession(session);
+    }
+
+    /**
+     * Drops the fold state of a session that won't be shown again, e.g. a closed file
+     * @param {Object} session - Ace EditSession
+     */
+    forgetSession(session) {
+        const state = this.sessions.get(session);
+        if (!state || session === this.editor.session) return;
+
+        session.off('change', state.markStale);
+        state.folds.forEach(fold => fold.anchor.detach());
+        state.values.forEach(value => value.anchor.detach());
+        this.sessions.delete(session);
+    }
+
+    /**
+     * Returns what the user changed about a session's folds, to be saved and
+     * given back to `restoreFoldState` later, e.g. after an app restart
+     * @param {Object} [session] - Ace EditSession, the current one by default
+     * @returns {{expanded: boolean, pins: {pin: string, classes: string, row: number}[]}|null}
+     *   Null for sessions the handler hasn't seen
+     */
+    getFoldState(session = this.editor.session) {
+        const state = session === this.editor.session ? this : this.sessions.get(session);
+        if (!state) return null;
+        // Never shown since its state was restored, so nothing changed
+        if (state.restore) return state.restore;
+
+        const pins = [];
+        state.folds.forEach(fold => {
+            if (fold.pin) {
+                pins.push({ pin: fold.pin, classes: fold.classes.join(' '), row: fold.range.start.row });
+            }
+        });
+        return { expanded: state.expanded, pins };
+    }
+
+    /**
+     * Restores fold state returned by `getFoldState`. Sessions that aren't
+     * shown get it applied when the editor switches to them.
+     * @param {Object} session - Ace EditSession
+     * @param {Object} savedState - State from `getFoldState`
+     */
+    restoreFoldState(session, savedState) {
+        if (!savedState) return;
+
+        if (session === this.editor.session) {
+            this.applyFoldState(savedState);
+            return;
+        }
+
+        let state = this.sessions.get(session);
+        if (!state) {
+            state = this.createSessionState();
+            this.sessions.set(session, state);
+        }
+        state.restore = savedState;
+    }
+
+    /**
+     * Turns folding off (or back on) for one session, e.g. for files the
+     * user excluded. Its class folds are removed right away.
+     * @param {Object} session - Ace EditSession
+     * @param {boolean} [excluded=true] - Whether to exclude the session
+     */
+    excludeSession(session, excluded = true) {
+        if (session !== this.editor.session) {
+            let state = this.sessions.get(session);
+            if (!state) {
+                state = this.createSessionState();
+                this.sessions.set(session, state);
+            }
+            if (state.excluded !== excluded) {
+                state.excluded = excluded;
+                state.fullScanPending = true;
+            }
+            return;
+        }
+
+        if (this.excluded === excluded) return;
+        this.excluded = excluded;
+        this.fullScanPending = true;
+        this.updateFolds(excluded || !this.options.autoFold);
+        if (excluded) this.removeClassFolds();
+        if (this.diagnostics) this.diagnostics.scheduleUpdate();
+    }
+
+    /**
+     * Whether nothing should be folded in the current session
+     * @private
+     * @returns {boolean}
+     */
+    isFoldingDisabled() {
+        if (this.excluded) return true;
+        const modeId = this.editor.session.getMode().$id;
+        return this.options.disabledModes.some(mode => toModeId(mode) === modeId);
+    }
+
+    /**
+     * Removes every class fold from the current session, including the ones
+     * inside collapsed folds of the user or the mode, which other folds are left alone
+     * @private
+     */
+    removeClassFolds() {
+        const session = this.editor.session;
+        const removeSubFolds = sessionFold => {
+            sessionFold.subFolds = sessionFold.subFolds.filter(subFold => !this.isClassFold(subFold));
+            sessionFold.subFolds.forEach(removeSubFolds);
+        };
+        session.getAllFolds().forEach(fold => {
+            if (this.isClassFold(fold)) {
+                session.removeFold(fold);
+            } else {
+                removeSubFolds(fold);
+            }
+        });
+        if (this.sessionFolding) {
+            this.refreshFoldWidgets();
+        }
+    }
+
+    /**
+     * Puts saved pins back on the current session's folds. Pins are matched
+     * by their class list, so they survive edits elsewhere in the file; when
+     * the same classes appear more than once the nearest row wins.
+     * @private
+     * @param {Object} savedState - State from `getFoldState`
+     */
+    applyFoldState({ expanded = false, pins = [] }) {
+        this.updateFolds(true);
+
+        const folds = Array.from(this.folds);
+        pins.forEach(({ pin, classes, row }) => {
+            let match = null;
+            folds.forEach(fold => {
+                if (fold.pin || fold.classes.join(' ') !== classes) return;
+                if (!match || Math.abs(fold.range.start.row - row) < Math.abs(match.range.start.row - row)) {
+                    match = fold;
+                }
+            });
+            if (match) match.pin = pin;
+        });
+
+        this.expanded = expanded;
+        if (expanded) {
+            this.removeClassFolds();
+        }
+        this.folds.forEach(fold => {
+            if (fold.pin === 'folded') {
+                this.foldRecord(fold);
+            } else if (fold.pin === 'open') {
+                this.unfoldRecord(fold);
+            }
+        });
+        if (this.options.autoFold && !expanded) {
+            this.applyFolds();
+        }
+    }
+
+    /**
+     * Sets up the scanner that finds class values, with the default patterns
+     * for common languages/frameworks and the custom modes
+     * @private
+     */
+    setupScanner() {
+        this.scanner = new ClassScanner({
+            attributes: this.options.attributes,
+            functions: this.options.functions,
+            modes: this.options.modes
+        });
+    }
+
+    handleChange(delta) {
+        if (delta) {
+            this.trackChange(delta);
+        } else {
+            this.fullScanPending = true;
+        }
+
+        if (this.changeTimeout) {
+            clearTimeout(this.changeTimeout);
+        }
+        // Without auto-fold the records are still kept up to date for the commands
+        this.changeTimeout = setTimeout(() => this.updateFolds(!this.options.autoFold), 10);
+    }
+
+    /**
+     * Re-scans when the editor width changes which lines overflow
+     * @private
+     */
+    handleResize() {
+        const columns = this.getVisibleColumns();
+        if (!this.options.overflowOnly || columns === this.visibleColumns) return;
+
+        this.visibleColumns = columns;
+        this.fullScanPending = true;
+        if (this.options.autoFold) this.handleChange();
+    }
+
+    /**
+     * Number of characters that fit in the editor's width
+     * @private
+     * @returns {number} Columns, 0 when the editor hasn't been measured yet
+     */
+    getVisibleColumns() {
+        const { renderer } = this.editor;
+        const size = renderer.$size;
+        if (!size || !size.scrollerWidth || !renderer.characterWidth) return 0;
+
+        // Same width Ace wraps lines at
+        return Math.floor((size.scrollerWidth - (renderer.$padding || 0) * 2) / renderer.characterWidth);
+    }
+
+    /**
+     * Whether a class value should be folded, see `meetsThresholds`
+     * @private
+     * @param {Object} classRange - Value range from `findClassAttributeRange`
+     * @param {string[]} classes - Classes of the value
+     * @returns {boolean}
+     */
+    isFoldable(classRange, classes) {
+        const { minClasses, minLength, multiLineOnly, overflowOnly, foldWhen } = this.options;
+        if (overflowOnly) this.visibleColumns = this.getVisibleColumns();
+
+        return meetsThresholds(this.editor.session.getDocument(), classRange, classes, {
+            minClasses,
+            minLength,
+            multiLineOnly,
+            overflowColumns: overflowOnly ? this.visibleColumns : 0,
+            foldWhen
+        });
+    }
+
+    /**
+     * Adds the class folds left out while a fold of the user or the mode
+     * covered them, once that fold is opened
+     * @private
+     * @param {Object} e - Ace fold change event
+     */
+    handleFoldChange({ data, action }) {
+        this._signal('update');
+        if (action !== 'remove' || this.isClassFold(data) || !this.options.autoFold) return;
+
+        // Ace puts the folds nested in it back after signalling the removal
+        if (this.foldChangeTimeout) clearTimeout(this.foldChangeTimeout);
+        this.foldChangeTimeout = setTimeout(() => {
+            this.foldChangeTimeout = null;
+            this.applyFolds();
+        }, 10);
+    }
+
+    handleModeChange() {
+        // Ace rebuilds the session's fold widget function for the new mode
+        this.setupFoldWidgets();
+        // Patterns and token support depend on the mode, so start over
+        if (this.options.autoFold) {
+            this.handleChange();
+        } else {
+            this.fullScanPending = true;
+            if (this.isFoldingDisabled()) this.removeClassFolds();
+        }
+    }
+
+    /**
+     * Grows the dirty row window so the next update only re-scans what the
+     * delta touched. Known folds move along with their anchors.
+     * @private
+     * @param {Object} delta - Ace change delta
+     */
+    trackChange(delta) {
+        const { start, end } = delta;
+        const isInsert = delta.action === 'insert';
+        const lineShift = isInsert ? end.row - start.row : start.row - end.row;
+
+        // Directives change which rows are folded well past the edit
+        const line = this.editor.session.getLine(start.row);
+        if (line.includes(DIRECTIVE_PREFIX) || delta.lines.some(text => text.includes(DIRECTIVE_PREFIX))) {
+            this.fullScanPending = true;
+        } else if (lineShift && this.ignoredRows) {
+            // Rows turned off by directives move along with the edit
+            const moveRow = row => (row > start.row ? Math.max(start.row, row + lineShift) : row);
+            this.ignoredRows = this.ignoredRows.map(rows => ({ start: moveRow(rows.start), end: moveRow(rows.end) }));
+        }
+
+        const dirtyStart = start.row;
+        const dirtyEnd = isInsert ? end.row : start.row;
+
+        if (!this.dirtyRows) {
+            this.dirtyRows = { start: dirtyStart, end: dirtyEnd };
+            return;
+        }
+
+        // Move the pending window along with the edit before merging it
+        if (this.dirtyRows.start > start.row) {
+            this.dirtyRows.start = Math.max(start.row, this.dirtyRows.start + lineShift);
+        }
+        if (this.dirtyRows.end > start.row) {
+            this.dirtyRows.end = Math.max(start.row, this.dirtyRows.end + lineShift);
+        }
+        this.dirtyRows.start = Math.min(this.dirtyRows.start, dirtyStart);
+        this.dirtyRows.end = Math.max(this.dirtyRows.end, dirtyEnd);
+    }
+
+    /**
+     * Anchors a fold or value record at the start of its value, so the record
+     * moves along when text is inserted or removed in front of it
+     * @private
+     * @param {Object} fold - Fold or value record
+     */
+    anchorFold(fold) {
+        fold.anchor = this.editor.session.getDocument().createAnchor(fold.valueRange.start);
+        fold.anchor.on('change', ({ old, value }) => this.moveFold(fold, old, value));
+    }
+
+    /**
+     * Moves a fold or value record's ranges after its anchor moved. Values
+     * edited inside are re-scanned anyway, so only the anchor's shift is applied.
+     * @private
+     * @param {Object} fold - Fold or value record
+     * @param {Object} old - Previous anchor position
+     * @param {Object} value - New anchor position
+     */
+    moveFold(fold, old, value) {
+        const movePoint = point => (point.row === old.row
+            ? { row: value.row, column: point.column + value.column - old.column }
+            : { row: point.row + value.row - old.row, column: point.column });
+        const move = range => Range.fromPoints(movePoint(range.start), movePoint(range.end));
+
+        const isOwnScope = fold.scope === fold.valueRange;
+        // Value records have no folded part
+        if (fold.range) fold.range = move(fold.range);
+        fold.valueRange = move(fold.valueRange);
+        fold.scope = isOwnScope ? fold.valueRange : move(fold.scope);
+    }
+
+    /**
+     * Forgets a fold record and stops tracking its position
+     * @private
+     * @param {Object} fold - Fold record
+     */
+    removeFoldRecord(fold) {
+        fold.anchor.detach();
+        this.folds.delete(fold);
+    }
+
+    /**
+     * Forgets a value record and stops tracking its position
+     * @private
+     * @param {Object} value - Value record
+     */
+    removeValueRecord(value) {
+        value.anchor.detach();
+        this.values.delete(value);
+    }
+
+    setupEditor() {
+        this.editor.on('change', this.handleChange);
+        this.setupAutoFoldListeners();
+        this.editor.on('changeSession', this.handleSessionChange);
+        this.editor.renderer.on('resize', this.handleResize);
+
+        this.setupCommands();
+
+        this.attachSession(this.editor.session);
+        this.setupTooltip();
+        this.setupDiagnostics();
+    }
+
+    /**
+     * Follows cursor moves while auto-fold is on
+     * @private
+     */
+    setupAutoFoldListeners() {
+        if (this.options.autoFold) {
+            // Fired for every cursor and selection, also after multi-cursor commands
+            this.editor.on('changeSelection', this.handleCursorChange);
+        } else {
+            this.editor.off('changeSelection', this.handleCursorChange);
+            if (this.autoFoldTimeout) {
+                clearTimeout(this.autoFoldTimeout);
+                this.autoFoldTimeout = null;
+            }
+        }
+    }
+
+    /**
+     * Adds the commands to the editor, replacing the ones added before
+     * so changed key bindings take effect
+     * @private
+     */
+    setupCommands() {
+        this.getCommands().forEach(command => this.editor.commands.addCommand(command));
+    }
+
+    /**
+     * Key binding of a command, from the `keybindings` option or the default one
+     * @private
+     * @param {string} name - Command name
+     * @returns {string|Object|null} Ace key binding
+     */
+    getKeybinding(name) {
+        const { keybindings } = this.options;
+        if (keybindings && name in keybindings) return keybindings[name] || null;
+        return DEFAULT_KEYBINDINGS[name];
+    }
+
+    setupTooltip() {
+        if (this.options.tooltip && !this.tooltip) {
+            this.tooltip = new FoldTooltip(this.editor, position => this.getFoldClassesAt(position));
+        } else if (!this.options.tooltip && this.tooltip) {
+            this.tooltip.destroy();
+            this.tooltip = null;
+        }
+    }
+
+    setupDiagnostics() {
+        const checks = this.getDiagnosticChecks();
+        const enabled = Object.values(checks).some(Boolean);
+        if (enabled && !this.diagnostics) {
+            this.diagnostics = new FoldDiagnostics(this.editor, () => this.getClassProblems());
+        } else if (!enabled && this.diagnostics) {
+            this.diagnostics.destroy();
+            this.diagnostics = null;
+        } else if (this.diagnostics) {
+            this.diagnostics.scheduleUpdate();
+        }
+    }
+
+    /**
+     * Which class problems to look for
+     * @private
+     * @returns {{duplicates: boolean, conflicts: boolean, empty: boolean}}
+     */
+    getDiagnosticChecks() {
+        const { diagnostics } = this.options;
+        if (!diagnostics) return { duplicates: false, conflicts: false, empty: false };
+        return { ...DEFAULT_CHECKS, ...diagnostics };
+    }
+
+    /**
+     * Finds the problems of every class value in the current session, from
+     * the value records brought up to date with the rows edited since the
+     * last scan. Expressions are skipped, as their classes don't all apply at once.
+     * @returns {{type: string, message: string, range: Object, valueRange: Object}[]}
+     */
+    getClassProblems() {
+        this.updateFolds(true);
+
+        const problems = [];
+        this.values.forEach(({ valueRange, kind }) => {
+            problems.push(...this.getRangeProblems({ start: valueRange.start, end: valueRange.end, kind }));
+        });
+        return problems;
+    }
+
+    /**
+     * Checks a single class value
+     * @private
+     * @param {Object} classRange - Value range from `findClassAttributeRange`
+     * @param {Object} [checks] - Checks to run, the configured ones by default
+     * @returns {Object[]} Problems, see `getClassProblems`
+     */
+    getRangeProblems(classRange, checks = this.getDiagnosticChecks()) {
+        if (!this.isSortableRange(classRange)) return [];
+
+        const { start, end } = classRange;
+        const valueRange = new Range(start.row, start.column, end.row, end.column);
+        const text = this.editor.session.getTextRange(valueRange);
+        // Empty strings are common in class utility calls, e.g. `cn(x ? 'a' : '')`
+        const empty = checks.empty && classRange.kind === 'attribute';
+
+        return findClassProblems(text, { ...checks, empty }).map(problem => {
+            const range = problem.type === 'empty'
+                // Nothing to underline inside, so take the quotes
+                ? new Range(start.row, start.column - 1, end.row, end.column + 1)
+                : Range.fromPoints(this.getOffsetPosition(start, text, problem.start),
+                    this.getOffsetPosition(start, text, problem.end));
+            return { ...problem, range, valueRange };
+        });
+    }
+
+    /**
+     * Converts an offset in a value's text to a document position
+     * @private
+     * @param {Object} start - Position where the value starts
+     * @param {string} text - Text of the value
+     * @param {number} offset - Offset in the text
+     * @returns {Object} Document position
+     */
+    getOffsetPosition(start, text, offset) {
+        const lines = text.slice(0, offset).split('\n');
+        const row = start.row + lines.length - 1;
+        const column = lines.length === 1 ? start.column + offset : lines[lines.length - 1].length;
+        return { row, column };
+    }
+
+    /**
+     * Removes the duplicate and overridden classes of the value under the cursor
+     * @returns {number} Number of classes removed
+     */
+    removeOverriddenClasses() {
+        const classRange = this.findClassRangeAt(this.editor.getCursorPosition());
+        if (!classRange) return 0;
+
+        const checks = { duplicates: true, conflicts: true, empty: false };
+        const problems = this.getRangeProblems(classRange, checks);
+        if (!problems.length) return 0;
+
+        const { valueRange } = problems[0];
+        const text = this.editor.session.getTextRange(valueRange);
+        this.editor.session.replace(valueRange, removeClasses(text, problems));
+        return problems.length;
+    }
+
+    /**
+     * Returns the classes of the folded attribute at a document position
+     * @param {Object} position - Document position, e.g. of a placeholder under the pointer
+     * @returns {string[]|null} Classes, or null when there is no class fold there
+     */
+    getFoldClassesAt(position) {
+        const sessionFold = this.editor.session.getFoldAt(position.row, position.column, 1);
+        if (!sessionFold || !this.isClassFold(sessionFold)) return null;
+
+        const fold = Array.from(this.folds)
+            .find(fold => fold.range.isEqual(sessionFold.range));
+        return fold ? fold.classes : null;
+    }
+
+    /**
+     * Editor commands provided by the handler
+     * @private
+     * @returns {Object[]} Ace command definitions
+     */
+    getCommands() {
+        return [
+            {
+                name: 'toggleTailwindFold',
+                description: 'Toggle all class folds',
+                exec: () => {
+                    if (!this.folds.size) {
+                        // Ensure folds are created if they aren't already.
+                        this.updateFolds(true);
+                    }
+                    this.toggleAllFolds();
+                }
+            },
+            {
+                name: 'foldAllClasses',
+                description: 'Fold all class attributes',
+                exec: () => this.collapseAll()
+            },
+            {
+                name: 'unfoldAllClasses',
+                description: 'Unfold all class attributes',
+                exec: () => this.expandAll()
+            },
+            {
+                name: 'toggleAutoFold',
+                description: 'Turn automatic class folding on/off',
+                exec: () => this.setOptions({ autoFold: !this.options.autoFold })
+            },
+            {
+                name: 'foldClassAtCursor',
+                description: 'Fold class attribute at cursor',
+                exec: () => this.foldAtCursor()
+            },
+            {
+                name: 'unfoldClassAtCursor',
+                description: 'Unfold class attribute at cursor',
+                exec: () => this.unfoldAtCursor()
+            },
+            {
+                name: 'togglePinClassAtCursor',
+                description: 'Pin/unpin class attribute at cursor open',
+                exec: () => this.togglePinAtCursor()
+            },
+            {
+                name: 'sortTailwindClasses',
+                description: 'Sort Tailwind classes at cursor',
+                exec: () => this.sortAtCursor()
+            },
+            {
+                name: 'sortAllTailwindClasses',
+                description: 'Sort all Tailwind classes in file',
+                exec: () => this.sortAllClasses()
+            },
+            {
+                name: 'removeOverriddenClasses',
+                description: 'Remove duplicate and overridden classes at cursor',
+                exec: () => this.removeOverriddenClasses()
+            },
+            {
+                name: 'nextClassFold',
+                description: 'Go to next folded class attribute',
+                exec: () => this.gotoFold(1)
+            },
+            {
+                name: 'previousClassFold',
+                description: 'Go to previous folded class attribute',
+                exec: () => this.gotoFold(-1)
+            }
+        ].map(command => ({ ...command, bindKey: this.getKeybinding(command.name) }));
+    }
+
+    /**
+     * Finds the discovered class attribute at a position, or the one
+     * closest to it on the position's row
+     * @private
+     * @param {Object} [cursor] - Document position, the cursor by default
+     * @returns {Object|undefined} Fold record
+     */
+    findFoldAt(cursor = this.editor.getCursorPosition()) {
+        let closest;
+        let closestDistance = Infinity;
+
+        this.folds.forEach(fold => {
+            const { valueRange } = fold;
+            if (this.isCursorInClassRange(cursor, valueRange)) {
+                closest = fold;
+                closestDistance = -1;
+                return;
+            }
+            if (valueRange.start.row !== cursor.row && valueRange.end.row !== cursor.row) return;
+
+            const distance = Math.min(
+                Math.abs(valueRange.start.column - cursor.column),
+                Math.abs(valueRange.end.column - cursor.column)
+            );
+            if (distance < closestDistance) {
+                closest = fold;
+                closestDistance = distance;
+            }
+        });
+
+        return closest;
+    }
+
+    /**
+     * Returns the session fold currently applied for a fold record
+     * @private
+     * @param {Object} fold - Fold record
+     * @returns {Object|undefined} Ace fold
+     */
+    getSessionFold(fold) {
+        return this.editor.session.getFoldsInRange(fold.range).find(sessionFold =>
+            this.isClassFold(sessionFold) && sessionFold.range.isEqual(fold.range)
+        );
+    }
+
+    /**
+     * Whether an Ace fold was created by this handler
+     * @param {Object} sessionFold - Ace fold
+     * @returns {boolean}
+     */
+    isClassFold(sessionFold) {
+        return this.sessionFolds.has(sessionFold);
+    }
+
+    /**
+     * Adds a fold record to the session and remembers the resulting Ace fold.
+     * Values hidden in a collapsed fold of the user or the mode are skipped,
+     * as are values crossing the edge of one, which Ace would remove.
+     * @private
+     * @param {Object} fold - Fold record
+     */
+    addSessionFold(fold) {
+        const { start, end } = fold.range;
+        const session = this.editor.session;
+        const covering = [session.getFoldAt(start.row, start.column, 1), session.getFoldAt(end.row, end.column, -1)];
+        if (covering.some(sessionFold => sessionFold && !this.isClassFold(sessionFold))) return;
+
+        // Ace shifts the ranges it folds in place, so hand it a copy
+        const sessionFold = this.editor.session.addFold(fold.placeholder, fold.range.clone());
+        this.sessionFolds.add(sessionFold);
+    }
+
+    /**
+     * Folds a single class attribute, moving the cursors out of it first
+     * so the fold isn't undone right away
+     * @private
+     * @param {Object} fold - Fold record
+     */
+    foldRecord(fold) {
+        if (this.getSessionFold(fold)) return;
+
+        const { start } = fold.valueRange;
+        if (this.isRangeSelected(fold.valueRange)) {
+            if (this.editor.exitMultiSelectMode) this.editor.exitMultiSelectMode();
+            this.editor.navigateTo(start.row, Math.max(0, start.column - 1));
+        }
+        this.addSessionFold(fold);
+    }
+
+    unfoldRecord(fold) {
+        const sessionFold = this.getSessionFold(fold);
+        if (sessionFold) {
+            this.editor.session.removeFold(sessionFold);
+        }
+    }
+
+    foldAtCursor() {
+        this.foldAt(this.editor.getCursorPosition());
+    }
+
+    unfoldAtCursor() {
+        this.unfoldAt(this.editor.getCursorPosition());
+    }
 
-export default class TailwindFoldHandler {
     /**
-     * Creates a new TailwindFoldHandler instance
-     * @param {Object} editor - Ace editor instance
-     * @param {Object} options - Configuration options
-     * @param {number} [options.minClasses=3] - Minimum number of classes before folding
-     * @param {string} [options.placeholder='...'] - Text to show when folded
-     * @param {boolean} [options.autoFold=true] - Whether to fold automatically on changes
-     * @param {string[]} [options.attributes=[]] - Additional attributes to watch for folding
-     * @param {Object} [options.modes] - Custom mode configurations
+     * Folds the class attribute at a position and keeps it folded
+     * @param {Object} position - Document position in or next to the value
      */
-    constructor(editor, options = {}) {
-        this.editor = editor;
-        this.defaultAttributes = [
-            'class',
-            'className',
-            ':class',
-            'v-bind:class',
-            'class:list',
-            'class:names',
-            'tw',
-            'tailwind'
-        ];
+    foldAt(position) {
+        this.updateFolds(true);
+        const fold = this.findFoldAt(position);
+        if (!fold) return;
 
-        this.options = {
-            minClasses: 3,
-            placeholder: '...',
-            autoFold: true,
-            attributes: [],
-            modes: {},
-            ...options
-        };
+        fold.pin = 'folded';
+        this.foldRecord(fold);
+    }
 
-        // Merge custom attributes with defaults
-        this.options.attributes = [
-            ...this.defaultAttributes,
-            ...this.options.attributes
-        ];
+    /**
+     * Unfolds the class attribute at a position
+     * @param {Object} position - Document position in or next to the value
+     */
+    unfoldAt(position) {
+        const fold = this.findFoldAt(position);
+        if (!fold) return;
 
-        this.folds = new Map();
-        this.setupDefaultModes();
-        // Store bound methods for proper cleanup
-        this.handleChange = this.handleChange.bind(this);
-        this.handleCursorChange = this.handleCursorChange.bind(this);
-        this.setupEditor();
-        this.allFolds = new Set(); // Track all possible fold positions
+        if (fold.pin === 'folded') fold.pin = null;
+        this.unfoldRecord(fold);
+    }
+
+    /**
+     * Lists every class value detected in the current session, including
+     * the ones too short to fold, from the value records brought up to date
+     * with the rows edited since the last scan
+     * @returns {Object[]} Entries with the value's `range`, the `element` it belongs to,
+     *   its `classes` and a `state`: `folded`, `unfolded`, `pinned` (pinned open),
+     *   or `none` for values that aren't folded at all
+     */
+    getClassAttributes() {
+        this.updateFolds(true);
+
+        const doc = this.editor.session.getDocument();
+        const getKey = ({ row, column }) => `${row}-${column}`;
+        const folds = new Map(Array.from(this.folds).map(fold => [getKey(fold.valueRange.start), fold]));
+
+        return Array.from(this.values)
+            .sort((a, b) => Range.comparePoints(a.valueRange.start, b.valueRange.start))
+            .map(({ valueRange, kind, name, classes }) => {
+                const fold = folds.get(getKey(valueRange.start));
+                let state = 'none';
+                if (fold) {
+                    state = this.getSessionFold(fold) ? 'folded' : 'unfolded';
+                    if (fold.pin === 'open') state = 'pinned';
+                }
+                return {
+                    range: valueRange,
+                    element: findElementName(doc, { kind, name, start: valueRange.start }),
+                    classes,
+                    state
+                };
+            });
     }
 
     /**
-     * Sets up default patterns for common languages/frameworks
+     * Pins the class attribute at the cursor open so auto-fold leaves it
+     * alone, or unpins it again
+     */
+    togglePinAtCursor() {
+        this.updateFolds(true);
+        const fold = this.findFoldAt();
+        if (!fold) return;
+
+        fold.pin = fold.pin === 'open' ? null : 'open';
+        if (fold.pin) {
+            this.unfoldRecord(fold);
+        } else if (this.options.autoFold && !this.expanded) {
+            this.foldRecord(fold);
+        }
+    }
+
+    /**
+     * Moves the cursor to the next or previous folded class attribute
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    gotoFold(direction) {
+        const cursor = this.editor.getCursorPosition();
+        const folded = Array.from(this.folds)
+            .filter(fold => this.getSessionFold(fold))
+            .sort((a, b) => a.valueRange.start.row - b.valueRange.start.row
+                || a.valueRange.start.column - b.valueRange.start.column);
+        const isAfterCursor = ({ valueRange: { start } }) => start.row > cursor.row
+            || (start.row === cursor.row && start.column > cursor.column + 1);
+        const isBeforeCursor = ({ valueRange: { start } }) => start.row < cursor.row
+            || (start.row === cursor.row && start.column <= cursor.column);
+
+        const target = direction > 0
+            ? folded.find(isAfterCursor)
+            : folded.reverse().find(isBeforeCursor);
+        if (!target) return;
+
+        const { start } = target.valueRange;
+        this.editor.navigateTo(start.row, Math.max(0, start.column - 1));
+        this.editor.renderer.scrollCursorIntoView(null, 0.5);
+    }
+
+    /**
+     * Finds the class value range at a position, including values too short to fold
      * @private
+     * @param {Object} position - Document position
+     * @returns {Object|undefined} Range of the class value
      */
-    setupDefaultModes() {
-        const defaultModes = {
-            // JSX/TSX
-            'ace/mode/jsx': {
-                pattern: this.buildAttributePattern(true)
-            },
-            'ace/mode/tsx': {
-                pattern: this.buildAttributePattern(true)
-            },
-            // Vue
-            'ace/mode/vue': {
-                pattern: this.buildAttributePattern(true)
-            },
-            // Svelte
-            'ace/mode/svelte': {
-                pattern: this.buildPattern([
-                    ...this.options.attributes,
-                    'class:.*?(?=\\s|>|$)', // Svelte class directives
-                ], true)
-            },
-            // Astro
-            'ace/mode/astro': {
-                pattern: this.buildAttributePattern(true)
-            },
-            // Blade
-            'ace/mode/blade': {
-                pattern: this.buildPattern([
-                    ...this.options.attributes,
-                    '(?:{!!|{\\??)\\s*class\\s*(?:}|\\?})',
-                ], true)
-            },
-            // Twig
-            'ace/mode/twig': {
-                pattern: this.buildPattern([
-                    ...this.options.attributes,
-                    '{{\\s*class\\s*}}',
-                ], true)
-            },
-            // Liquid
-            'ace/mode/liquid': {
-                pattern: this.buildPattern([
-                    ...this.options.attributes,
-                    '{%\\s*class\\s*%}',
-                ], true)
-            },
-            // Pug
-            'ace/mode/pug': {
-                pattern: this.buildPattern([
-                    '(?:^|\\s)(?:class|className)\\s*\\(',
-                    '\\.([-\\w]+)',
-                ], false)
-            },
-            // PHP
-            'ace/mode/php': {
-                pattern: this.buildPattern([
-                    ...this.options.attributes,
-                    '(?:<?php\\s*)?(?:class|className)\\s*=\\s*["\']',
-                ], false)
-            },
-            // Default
-            'default': {
-                pattern: this.buildAttributePattern(false)
-            }
-        };
+    findClassRangeAt(position) {
+        const fold = Array.from(this.folds)
+            .find(fold => this.isCursorInClassRange(position, fold.valueRange));
+        if (fold) return fold.valueRange;
 
-        this.modes = { ...defaultModes, ...this.options.modes };
+        return this.findClassAttributeRange(position.row)
+            .find(range => this.isCursorInClassRange(position, range));
     }
 
     /**
-     * Builds the main attribute pattern
+     * Whether a class value is a plain quoted class list that can be reordered,
+     * as opposed to an expression (`className={...}`, `:class="..."`)
      * @private
-     * @param {boolean} includeTemplates - Whether to include template literal/expression syntax
-     * @returns {RegExp} Compiled regular expression
+     * @param {Object} range - Range of the class value
+     * @returns {boolean}
      */
-    buildAttributePattern(includeTemplates) {
-        return this.buildPattern(this.options.attributes, includeTemplates);
+    isSortableRange(range) {
+        const line = this.editor.session.getLine(range.start.row);
+        const quote = line[range.start.column - 1];
+        if (quote !== '"' && quote !== "'" && quote !== '`') return false;
+
+        return !BINDING_ATTRIBUTE.test(line.slice(0, range.start.column - 1));
     }
 
     /**
-     * Builds a RegExp pattern for matching attributes
+     * Rewrites class values in Tailwind's recommended order. Ranges are
+     * replaced from the bottom up so earlier positions stay valid.
      * @private
-     * @param {string[]} patterns - Array of patterns
-     * @param {boolean} includeTemplates - Whether to include template literal/expression syntax
-     * @returns {RegExp} Compiled regular expression
+     * @param {Object[]} ranges - Ranges of class values
+     * @returns {number} Number of values that changed
      */
-    buildPattern(patterns, includeTemplates) {
-        const quotes = includeTemplates ? '["\'`{]' : '["\']';
-        const patternString = patterns
-            .map(attr => `(?:${attr})\\s*=\\s*${quotes}`)
-            .join('|');
-        return new RegExp(patternString);
+    sortRanges(ranges) {
+        const session = this.editor.session;
+        let changed = 0;
+
+        ranges
+            .filter(range => this.isSortableRange(range))
+            .sort((a, b) => b.start.row - a.start.row || b.start.column - a.start.column)
+            .forEach(({ start, end }) => {
+                const range = new Range(start.row, start.column, end.row, end.column);
+                const text = session.getTextRange(range);
+                const sorted = sortClassString(text);
+                if (sorted !== text) {
+                    session.replace(range, sorted);
+                    changed++;
+                }
+            });
+
+        return changed;
     }
-    
-    handleChange() {
-        if (this.changeTimeout) {
-            clearTimeout(this.changeTimeout);
+
+    /**
+     * Sorts the class attribute under the cursor
+     * @returns {number} Number of values that changed
+     */
+    sortAtCursor() {
+        const range = this.findClassRangeAt(this.editor.getCursorPosition());
+        return range ? this.sortRanges([range]) : 0;
+    }
+
+    /**
+     * Sorts every detected class attribute in the document. Rows turned off by
+     * directives, disabled modes and excluded sessions are left alone.
+     * @returns {number} Number of values that changed
+     */
+    sortAllClasses() {
+        this.updateFolds(true);
+        return this.sortRanges(Array.from(this.values).map(value => value.valueRange));
+    }
+
+    /**
+     * Routes the session's fold widgets through the handler so rows with
+     * class folds get a gutter widget that toggles them
+     * @private
+     */
+    setupFoldWidgets() {
+        const session = this.editor.session;
+        if (!this.options.foldWidgets || session.getFoldWidget === this.getFoldWidget) return;
+
+        this.sessionFolding = {
+            getFoldWidget: session.getFoldWidget,
+            // A mode change only replaces getFoldWidget, the click handler is still ours
+            onFoldWidgetClick: this.sessionFolding
+                ? this.sessionFolding.onFoldWidgetClick
+                : session.onFoldWidgetClick
+        };
+        session.getFoldWidget = this.getFoldWidget;
+        session.onFoldWidgetClick = this.onFoldWidgetClick;
+        this.refreshFoldWidgets();
+    }
+
+    /**
+     * Restores the session's own fold widget handling
+     * @private
+     * @param {Object} [session] - Ace EditSession, the current one by default
+     */
+    removeFoldWidgets(session = this.editor.session) {
+        if (!this.sessionFolding) return;
+
+        if (session.getFoldWidget === this.getFoldWidget) {
+            session.getFoldWidget = this.sessionFolding.getFoldWidget;
         }
-        this.changeTimeout = setTimeout(() => this.updateFolds(), 10);
+        if (session.onFoldWidgetClick === this.onFoldWidgetClick) {
+            session.onFoldWidgetClick = this.sessionFolding.onFoldWidgetClick;
+        }
+        this.sessionFolding = null;
+        this.refreshFoldWidgets(session);
     }
 
-    setupEditor() {
-        if (this.options.autoFold) {
-            this.editor.on('change', this.handleChange);
-            this.editor.session.selection.on('changeCursor', this.handleCursorChange);
+    refreshFoldWidgets(session = this.editor.session) {
+        if (session.foldWidgets) {
+            session.foldWidgets = [];
         }
+        // Same signal Ace uses to redraw the gutter when fold widgets change
+        session._signal('changeAnnotation');
+    }
 
-        this.editor.commands.addCommand({
-            name: 'toggleTailwindFold',
-            bindKey: { win: 'Alt-T', mac: 'Command-T' },
-            exec: () => {
-                if (!this.folds.size) {
-                    // Ensure folds are created if they aren't already.
-                    this.updateFolds(true);
-                }
-                this.toggleAllFolds();
-            }
-        });
+    getFoldsOnRow(row) {
+        return Array.from(this.folds).filter(fold => fold.valueRange.start.row === row);
+    }
 
-        // Initial fold discovery
-        this.updateFolds(true);
+    getFoldWidget(row) {
+        if (this.getFoldsOnRow(row).length) return 'start';
+
+        const { getFoldWidget } = this.sessionFolding;
+        return getFoldWidget ? getFoldWidget.call(this.editor.session, row) : '';
     }
 
+    /**
+     * Toggles every class fold on a row when its gutter widget is tapped
+     * @private
+     * @param {number} row - Row of the widget
+     * @param {Object} e - Gutter mouse event
+     */
+    onFoldWidgetClick(row, e) {
+        const folds = this.getFoldsOnRow(row);
+        if (!folds.length) {
+            return this.sessionFolding.onFoldWidgetClick.call(this.editor.session, row, e);
+        }
+
+        if (folds.some(fold => this.getSessionFold(fold))) {
+            folds.forEach(fold => {
+                if (fold.pin === 'folded') fold.pin = null;
+                this.unfoldRecord(fold);
+            });
+        } else {
+            folds.forEach(fold => {
+                fold.pin = 'folded';
+                this.foldRecord(fold);
+            });
+        }
+    }
+
+    /**
+     * Unfolds the class attributes touched by any cursor or selection, and
+     * folds them again once every cursor has left them
+     */
     handleCursorChange() {
-        const cursorPosition = this.editor.getCursorPosition();
-        const fold = this.editor.session.getFoldAt(
-            cursorPosition.row,
-            cursorPosition.column
-        );
+        // Commands run on each cursor of a multi-selection in turn, the last event has them all
+        if (this.editor.inVirtualSelectionMode) return;
 
-        if (fold && fold.placeholder === this.options.placeholder) {
-            this.editor.session.unfold(cursorPosition.row);
-            if (this.options.autoFold) {
-                this.setupAutoFold();
-            }
+        const selections = this.getSelectionRanges();
+        const touched = Array.from(this.folds)
+            .filter(fold => this.isRangeSelected(fold.valueRange, selections));
+        const sessionFolds = touched.map(fold => this.getSessionFold(fold)).filter(Boolean);
+        sessionFolds.forEach(sessionFold => this.editor.session.removeFold(sessionFold));
+
+        const wasInFold = this.isCursorInFold;
+        this.isCursorInFold = touched.length > 0;
+        if (this.options.autoFold && (sessionFolds.length || (wasInFold && !this.isCursorInFold))) {
+            this.setupAutoFold();
         }
     }
 
@@ -219,19 +1267,31 @@ export default class TailwindFoldHandler {
             clearTimeout(this.autoFoldTimeout);
         }
 
-        this.autoFoldTimeout = setTimeout(() => {
-            const cursorPosition = this.editor.getCursorPosition();
-            const fold = this.findMultiLineFoldAtRow(cursorPosition.row);
+        // Attributes still touched by a cursor are left open by applyFolds
+        this.autoFoldTimeout = setTimeout(() => this.updateFolds(), 1000);
+    }
 
-            if (!fold || !this.isCursorInClassRange(cursorPosition, fold.range)) {
-                this.updateFolds();
-            }
-        }, 1000);
+    /**
+     * Ranges of every cursor and selection, a single one without multi-cursor support
+     * @private
+     * @returns {Object[]} Ace ranges
+     */
+    getSelectionRanges() {
+        const { selection } = this.editor;
+        return selection.getAllRanges ? selection.getAllRanges() : [selection.getRange()];
     }
 
-    findMultiLineFoldAtRow(row) {
-        return Array.from(this.folds.values()).find(fold =>
-            row >= fold.range.start.row && row <= fold.range.end.row
+    /**
+     * Whether a cursor is in a range (edges included) or a selection overlaps it
+     * @private
+     * @param {Object} range - Ace range, e.g. a fold's `valueRange`
+     * @param {Object[]} [selections] - Ranges from `getSelectionRanges`
+     * @returns {boolean}
+     */
+    isRangeSelected(range, selections = this.getSelectionRanges()) {
+        return selections.some(selection =>
+            Range.comparePoints(selection.start, range.end) <= 0
+            && Range.comparePoints(selection.end, range.start) >= 0
         );
     }
 
@@ -242,187 +1302,342 @@ export default class TailwindFoldHandler {
         return true;
     }
 
-    getCurrentPattern() {
-        const modeId = this.editor.session.getMode().$id;
-        return (this.modes[modeId] || this.modes.default).pattern;
+    getCurrentMode() {
+        return this.scanner.getMode(this.editor.session.getMode().$id);
     }
 
-    findClassAttributeRange(startRow) {
-        const session = this.editor.session;
-        const doc = session.getDocument();
-        let foundRanges = [];
-        let currentRow = startRow;
-        const line = doc.getLine(currentRow);
-        const pattern = this.getCurrentPattern();
-        let lastIndex = 0;
-
-        while (true) {
-            const match = pattern.exec(line.slice(lastIndex));
-            if (!match) break;
-
-            const matchIndex = lastIndex + match.index;
-            const classRange = this.findClassEnd(currentRow, matchIndex + match[0].length);
-            if (classRange) {
-                foundRanges.push(classRange);
+    /**
+     * Whether the active mode produces attribute tokens that can be trusted
+     * to tell markup apart from strings and code. Modes that don't fall back
+     * to plain pattern matching.
+     * @private
+     * @returns {boolean}
+     */
+    isTokenAware() {
+        const modeConfig = this.getCurrentMode();
+        if (typeof modeConfig.tokens === 'boolean') return modeConfig.tokens;
+
+        const mode = this.editor.session.getMode();
+        if (!this.tokenSupport.has(mode.$id)) {
+            let supported = false;
+            try {
+                const { tokens } = mode.getTokenizer().getLineTokens(TOKEN_PROBE, 'start');
+                supported = tokens.some(token => /attribute-name/.test(token.type));
+            } catch (e) {
+                supported = false;
             }
-            lastIndex = matchIndex + match[0].length;
+            this.tokenSupport.set(mode.$id, supported);
         }
-
-        return foundRanges;
+        return this.tokenSupport.get(mode.$id);
     }
-    findClassEnd(startRow, startCol) {
+
+    /**
+     * Checks the tokens under a pattern match to decide whether it is a real
+     * markup attribute or JSX prop rather than text in a comment, a string
+     * literal or a code sample
+     * @private
+     * @param {number} row - Row of the match
+     * @param {number} startCol - Column where the match starts
+     * @param {number} endCol - Column where the match ends
+     * @returns {boolean}
+     */
+    isAttributeMatch(row, startCol, endCol) {
         const session = this.editor.session;
-        const doc = session.getDocument();
-        let currentRow = startRow;
-        let openQuote = null;
-        const classStart = { row: startRow, column: startCol };
-
-        const line = doc.getLine(startRow);
-        const char = line[startCol - 1];
-
-        if (char === '{') {
-            openQuote = '}';
-        } else if (char === '`') {
-            openQuote = '`';
-        } else if (char === '"' || char === "'") {
-            openQuote = char;
-        } else {
-            return null;
+        // Line states carry over between rows, so catch up on rows the
+        // background tokenizer hasn't reached yet before reading this one
+        const tokenizer = session.bgTokenizer;
+        const firstPending = tokenizer ? Math.min(tokenizer.currentLine, row) : row;
+        for (let pending = firstPending; pending < row; pending++) {
+            session.getTokens(pending);
+        }
+        const tokens = session.getTokens(row);
+        if (row > 0 && CODE_SAMPLE_STATE.test(JSON.stringify(session.getState(row - 1)))) {
+            return false;
         }
 
-        while (currentRow < doc.getLength()) {
-            const line = doc.getLine(currentRow);
-            let closeIndex = -1;
-
-            if (openQuote === '}') {
-                let braceCount = 1;
-                for (let i = currentRow === startRow ? startCol : 0; i < line.length; i++) {
-                    if (line[i] === '{') braceCount++;
-                    if (line[i] === '}') braceCount--;
-                    if (braceCount === 0) {
-                        closeIndex = i;
-                        break;
-                    }
-                }
-            } else {
-                closeIndex = line.indexOf(openQuote, currentRow === startRow ? startCol : 0);
+        let column = 0;
+        let isMarkup = false;
+        for (const token of tokens) {
+            const tokenEnd = column + token.value.length;
+            if (tokenEnd > startCol) {
+                if (/comment/.test(token.type)) return false;
+                if (/attribute-(?:name|value)/.test(token.type)) isMarkup = true;
             }
+            column = tokenEnd;
+            if (column >= endCol) break;
+        }
 
-            if (closeIndex !== -1) {
-                return {
-                    start: classStart,
-                    end: { row: currentRow, column: closeIndex }
-                };
-            }
+        return isMarkup || !this.isTokenAware();
+    }
 
-            currentRow++;
+    /**
+     * Checks that a function call match sits in code rather than in a
+     * comment, a string literal or a code sample
+     * @private
+     * @param {number} row - Row of the match
+     * @param {number} startCol - Column where the match starts
+     * @returns {boolean}
+     */
+    isCodeMatch(row, startCol) {
+        const session = this.editor.session;
+        const tokenizer = session.bgTokenizer;
+        const firstPending = tokenizer ? Math.min(tokenizer.currentLine, row) : row;
+        for (let pending = firstPending; pending < row; pending++) {
+            session.getTokens(pending);
+        }
+        if (row > 0 && CODE_SAMPLE_STATE.test(JSON.stringify(session.getState(row - 1)))) {
+            return false;
         }
 
-        return null;
+        const token = session.getTokenAt(row, startCol + 1);
+        return !token || !/comment|string/.test(token.type);
+    }
+
+    /**
+     * Finds the class values starting on a row, using the session's tokens
+     * to skip matches in comments, strings and code samples
+     * @param {number} startRow - Row to scan
+     * @returns {Object[]} Value ranges, see `ClassScanner#findRanges`
+     */
+    findClassAttributeRange(startRow) {
+        const session = this.editor.session;
+        return this.scanner.findRanges(session.getDocument(), startRow, session.getMode().$id, this);
     }
+
     parseTailwindClasses(range) {
+        return this.scanner.parseClasses(this.editor.session.getDocument(), range);
+    }
+
+    /**
+     * Builds the fold record of a class value. With `visibleClasses` or
+     * `visibleChars` only the tail of the value is folded.
+     * @private
+     * @param {Object} classRange - Value range from `findClassAttributeRange`
+     * @param {string[]} classes - Classes of the value
+     * @returns {Object|null} Fold record, or null when every class stays visible
+     */
+    createFold(classRange, classes) {
         const session = this.editor.session;
-        const doc = session.getDocument();
-        let classes = [];
-
-        for (let row = range.start.row; row <= range.end.row; row++) {
-            const line = doc.getLine(row);
-            let content;
-
-            if (row === range.start.row && row === range.end.row) {
-                content = line.substring(range.start.column, range.end.column);
-            } else if (row === range.start.row) {
-                content = line.substring(range.start.column);
-            } else if (row === range.end.row) {
-                content = line.substring(0, range.end.column);
-            } else {
-                content = line;
-            }
+        const foldStart = this.scanner.getFoldStart(
+            session.getDocument(),
+            classRange,
+            session.getMode().$id,
+            this.options
+        );
+        if (!foldStart) return null;
 
-            const lineClasses = content.trim().split(/\s+/).filter(Boolean);
-            classes.push(...lineClasses);
-        }
+        const value = this.createValue(classRange, classes);
+        const range = Range.fromPoints(foldStart, value.valueRange.end);
+        // The placeholder stands for the hidden classes only
+        const hidden = range.isEqual(value.valueRange)
+            ? classes
+            : this.scanner.parseClasses(session.getDocument(), { ...classRange, start: foldStart });
 
-        return classes;
+        return {
+            ...value,
+            range, // Folded part of the value
+            placeholder: this.renderPlaceholder(hidden)
+        };
     }
 
-    createFold(classRange, classes) {
+    /**
+     * Builds the record of a class value, folded or not
+     * @private
+     * @param {Object} classRange - Value range from `findClassAttributeRange`
+     * @param {string[]} classes - Classes of the value
+     * @returns {Object} Value record
+     */
+    createValue(classRange, classes) {
+        const valueRange = new Range(
+            classRange.start.row,
+            classRange.start.column,
+            classRange.end.row,
+            classRange.end.column
+        );
+        const scope = classRange.scope
+            ? new Range(
+                classRange.scope.start.row,
+                classRange.scope.start.column,
+                classRange.scope.end.row,
+                classRange.scope.end.column
+            )
+            : valueRange;
+
         return {
-            range: new Range(
-                classRange.start.row,
-                classRange.start.column,
-                classRange.end.row,
-                classRange.end.column
-            ),
-            placeholder: this.options.placeholder,
+            valueRange,
+            scope, // Region to re-scan when this value is touched (the whole call for function arguments)
+            kind: classRange.kind,
+            name: classRange.name,
             classes
         };
     }
 
+    /**
+     * Builds the placeholder text for a fold from the placeholder template or callback
+     * @param {string[]} classes - Classes of the folded attribute
+     * @returns {string} Placeholder text
+     */
+    renderPlaceholder(classes) {
+        return renderPlaceholder(this.options.placeholder, classes);
+    }
+
+    /**
+     * Discovers foldable class attributes and applies them to the session.
+     * Only rows touched since the last update are re-scanned unless a full
+     * scan is pending (first run, option or mode changes).
+     * @param {boolean} [discoverOnly=false] - Only discover folds without applying them
+     */
     updateFolds(discoverOnly = false) {
-        const session = this.editor.session;
-        const doc = session.getDocument();
-        const currentFolds = new Map();
-        const cursorPosition = this.editor.getCursorPosition();
+        const isScanning = this.fullScanPending || this.dirtyRows;
+        if (this.fullScanPending) {
+            this.ignoredRows = null;
+            this.scanRows(0, this.editor.session.getDocument().getLength() - 1);
+            this.fullScanPending = false;
+        } else if (this.dirtyRows) {
+            this.scanRows(this.dirtyRows.start, this.dirtyRows.end);
+        }
+        this.dirtyRows = null;
+        if (isScanning) this._signal('update');
+
+        if (!discoverOnly) {
+            this.applyFolds();
+        }
+    }
+
+    /**
+     * Re-scans a window of rows and replaces the values and folds found in it.
+     * The window is widened to cover multi-line attributes that cross its edges.
+     * @private
+     * @param {number} startRow - First row to scan
+     * @param {number} endRow - Last row to scan
+     */
+    scanRows(startRow, endRow) {
+        const lastRow = this.editor.session.getDocument().getLength() - 1;
+        startRow = Math.max(0, startRow);
+        endRow = Math.min(lastRow, endRow);
+
+        // Every fold has a value record, so the values cover the folds' scopes too
+        let widened = true;
+        while (widened) {
+            widened = false;
+            this.values.forEach(value => {
+                const { start, end } = value.scope;
+                if (end.row < startRow || start.row > endRow) return;
+                if (start.row < startRow) {
+                    startRow = start.row;
+                    widened = true;
+                }
+                if (end.row > endRow) {
+                    endRow = end.row;
+                    widened = true;
+                }
+            });
+        }
+
+        // Records are up to date with the edits, so a value that starts at the same place keeps its pin
+        const getPinKey = ({ start }) => `${start.row}-${start.column}`;
+        const pins = new Map();
+        this.folds.forEach(fold => {
+            if (fold.valueRange.start.row >= startRow && fold.valueRange.start.row <= endRow) {
+                if (fold.pin) pins.set(getPinKey(fold.valueRange), fold.pin);
+                this.removeFoldRecord(fold);
+            }
+        });
+        this.values.forEach(value => {
+            if (value.valueRange.start.row >= startRow && value.valueRange.start.row <= endRow) {
+                this.removeValueRecord(value);
+            }
+        });
+        if (this.isFoldingDisabled()) return;
+
+        if (!this.ignoredRows) this.ignoredRows = findIgnoredRows(this.editor.session.getDocument());
+        const { ignoredRows } = this;
+        for (let row = startRow; row <= endRow; row++) {
+            if (ignoredRows.some(({ start, end }) => row >= start && row <= end)) continue;
 
-        for (let row = 0; row < doc.getLength(); row++) {
             const ranges = this.findClassAttributeRange(row);
 
             for (const classRange of ranges) {
                 const classes = this.parseTailwindClasses(classRange);
+                const value = this.createValue(classRange, classes);
+                // An attribute that now runs past the window replaces the values and folds it swallowed
+                this.values.forEach(other => {
+                    if (other.valueRange.intersects(value.valueRange)) this.removeValueRecord(other);
+                });
+                this.folds.forEach(other => {
+                    if (other.valueRange.intersects(value.valueRange)) this.removeFoldRecord(other);
+                });
+                this.anchorFold(value);
+                this.values.add(value);
 
-                if (classes.length >= this.options.minClasses) {
-                    if (!this.isCursorInClassRange(cursorPosition, classRange)) {
-                        const fold = this.createFold(classRange, classes);
-                        if (fold) {
-                            currentFolds.set(`${row}-${classRange.start.column}`, fold);
-                            this.allFolds.add(`${row}-${classRange.start.column}`);
-                        }
-                    }
-                }
-            }
-        }
+                if (!this.isFoldable(classRange, classes)) continue;
+                const fold = this.createFold(classRange, classes);
+                if (!fold) continue;
 
-        this.folds = currentFolds;
-        if (!discoverOnly) {
-            this.applyFolds();
+                fold.pin = pins.get(getPinKey(fold.valueRange)) || null;
+                this.anchorFold(fold);
+                this.folds.add(fold);
+            }
         }
     }
 
+    /**
+     * Syncs session folds with the discovered ones, keeping folds that are
+     * already in place and only adding or removing the ones that changed
+     */
     applyFolds() {
         const session = this.editor.session;
-
-        session.getAllFolds()
-            .filter(fold => fold.placeholder === this.options.placeholder)
-            .forEach(fold => session.removeFold(fold));
+        const selections = this.getSelectionRanges();
+        const wanted = new Map();
 
         this.folds.forEach(fold => {
-            session.addFold(fold.placeholder, fold.range);
+            // After expandAll only the folds the user folded themselves come back
+            const keepOpen = fold.pin === 'open' || (this.expanded && fold.pin !== 'folded');
+            if (!keepOpen && !this.isRangeSelected(fold.valueRange, selections)) {
+                wanted.set(fold.range.toString(), fold);
+            }
         });
+
+        session.getAllFolds()
+            .filter(fold => this.isClassFold(fold))
+            .forEach(fold => {
+                const key = fold.range.toString();
+                if (wanted.has(key) && wanted.get(key).placeholder === fold.placeholder) {
+                    wanted.delete(key);
+                } else {
+                    session.removeFold(fold);
+                }
+            });
+
+        wanted.forEach(fold => this.addSessionFold(fold));
+
+        if (this.sessionFolding) {
+            this.refreshFoldWidgets();
+        }
     }
 
     toggleAllFolds() {
-        const session = this.editor.session;
-        // Check if all discovered positions are currently folded
-        const allFolded = Array.from(this.allFolds).every(pos => {
-            const [row, col] = pos.split('-').map(Number);
-            return session.getFoldAt(row, col);
-        });
+        const selections = this.getSelectionRanges();
+        // Check if every fold that collapseAll would add is in place
+        const allFolded = Array.from(this.folds).every(fold => fold.pin === 'open'
+            || this.isRangeSelected(fold.valueRange, selections)
+            || this.getSessionFold(fold));
 
         if (allFolded) {
             this.expandAll();
         } else {
-            this.updateFolds();
+            this.collapseAll();
         }
     }
 
     collapseAll() {
+        this.expanded = false;
         this.updateFolds();
     }
 
     expandAll() {
-        const session = this.editor.session;
-        session.unfold();
+        this.expanded = true;
+        this.removeClassFolds();
     }
 
     /**
@@ -434,54 +1649,69 @@ export default class TailwindFoldHandler {
         this.options = { ...this.options, ...newOptions };
 
         // Update attributes list
-        this.options.attributes = [
+        this.options.attributes = [...new Set([
             ...this.defaultAttributes,
             ...this.options.attributes
-        ];
-
-        if (newOptions.modes) {
-            this.modes = { ...this.modes, ...newOptions.modes };
-        }
+        ])];
+        this.options.functions = [...new Set([
+            ...this.defaultFunctions,
+            ...this.options.functions
+        ])];
+        // Patterns are built from the attributes, and custom modes replace the previous ones
+        this.setupScanner();
 
+        this.setupAutoFoldListeners();
+        this.setupCommands();
+        this.setupTooltip();
+        this.setupDiagnostics();
+        this.fullScanPending = true;
         if (this.options.autoFold) {
             this.updateFolds(true);
             this.applyFolds();
+        } else if (this.isFoldingDisabled()) {
+            this.updateFolds(true);
+            this.removeClassFolds();
         }
+        this._signal('update');
     }
 
     /**
     * Cleans up all resources, removes event listeners, and resets state.
     */
     destroy() {
-        // Remove change and cursor listeners
-        if (this.options.autoFold) {
-            this.editor.off('change', this.handleChange);
-            this.editor.session.selection.off('changeCursor', this.handleCursorChange);
+        // Remove change and session listeners
+        this.editor.off('change', this.handleChange);
+        this.editor.off('changeSelection', this.handleCursorChange);
+        this.editor.off('changeSession', this.handleSessionChange);
+        this.editor.renderer.off('resize', this.handleResize);
+        this.detachSession(this.editor.session);
+
+        // Remove the commands added to the editor
+        this.getCommands().forEach(command => this.editor.commands.removeCommand(command.name));
+        if (this.tooltip) {
+            this.tooltip.destroy();
+            this.tooltip = null;
         }
-        
-        if (this.changeTimeout) {
-            clearTimeout(this.changeTimeout);
-            this.changeTimeout = null;
+        if (this.diagnostics) {
+            this.diagnostics.destroy();
+            this.diagnostics = null;
         }
 
-        // Remove the command added to the editor
-        this.editor.commands.removeCommand('toggleTailwindFold');
-
-        // Remove all folds created by this handler
-        const session = this.editor.session;
-        session.getAllFolds()
-            .filter(fold => fold.placeholder === this.options.placeholder)
-            .forEach(fold => session.removeFold(fold));
+        // Remove all folds created by this handler, in every session it has seen
+        this.sessions.forEach((state, session) => {
+            session.off('change', state.markStale);
+            state.folds.forEach(fold => fold.anchor.detach());
+            state.values.forEach(value => value.anchor.detach());
+            session.getAllFolds()
+                .filter(fold => state.sessionFolds.has(fold))
+                .forEach(fold => session.removeFold(fold));
+        });
 
         // Clear any stored state
+        this.sessions.clear();
         this.folds.clear();
-        this.allFolds.clear();
-
-        // Clear any remaining timeouts
-        if (this.autoFoldTimeout) {
-            clearTimeout(this.autoFoldTimeout);
-            this.autoFoldTimeout = null;
-        }
+        this.values.clear();
+        this.removeAllListeners('update');
 
         // Nullify the editor reference for cleanup
         this.editor = null;
@@ -489,6 +1719,8 @@ export default class TailwindFoldHandler {
 
 }
 
+oop.implement(TailwindFoldHandler.prototype, EventEmitter);
+
 // Make it globally available
 window.TailwindFoldHandler = TailwindFoldHandler;
 
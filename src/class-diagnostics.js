@@ -0,0 +1,224 @@
+/**
+ * Finds problems in a class list: duplicate classes, utilities overridden by
+ * a later one setting the same property with the same variants, and empty
+ * values. Pure, so it can run outside the editor.
+ *
+ * @example
+ * findClassProblems('p-2 flex p-4');
+ * // [{ type: 'conflict', className: 'p-2', overriddenBy: 'p-4', start: 0, end: 3,
+ * //    message: '"p-2" is overridden by "p-4"' }]
+ */
+
+import { splitVariants } from './tailwind-classes.js';
+
+const COLOR_NAMES = 'slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose';
+// Only default palette colors, so custom theme values never cause a false conflict
+const COLOR = `(?:inherit|current|transparent|black|white|(?:${COLOR_NAMES})-\\d{2,3}|\\[(?:#|rgb|hsl)[^\\]]*\\])(?:\\/\\S+)?`;
+// Template syntax makes the words of a value unreliable
+const DYNAMIC_VALUE = /\$\{|\{\{|\{%|<\?|<%|@\(|#\{/;
+
+/**
+ * Utilities setting the same CSS property. Two classes of a group with the
+ * same variants conflict; utilities that combine (`translate-x-2 translate-y-2`)
+ * are in separate groups or left out.
+ */
+const CONFLICT_GROUPS = [
+    ['display', /^(?:block|inline-block|inline|flex|inline-flex|table|inline-table|table-caption|table-cell|table-column|table-column-group|table-footer-group|table-header-group|table-row-group|table-row|flow-root|grid|inline-grid|contents|list-item|hidden)$/],
+    ['position', /^(?:static|fixed|absolute|relative|sticky)$/],
+    ['visibility', /^(?:visible|invisible|collapse)$/],
+    ['float', /^float-/],
+    ['z-index', /^z-/],
+    ['order', /^order-/],
+    ['inset', /^inset-(?![xy]-)/],
+    ['inset-x', /^inset-x-/],
+    ['inset-y', /^inset-y-/],
+    ['top', /^top-/],
+    ['right', /^right-/],
+    ['bottom', /^bottom-/],
+    ['left', /^left-/],
+    ['margin', /^m-/],
+    ['margin-x', /^mx-/],
+    ['margin-y', /^my-/],
+    ['margin-start', /^ms-/],
+    ['margin-end', /^me-/],
+    ['margin-top', /^mt-/],
+    ['margin-right', /^mr-/],
+    ['margin-bottom', /^mb-/],
+    ['margin-left', /^ml-/],
+    ['padding', /^p-/],
+    ['padding-x', /^px-/],
+    ['padding-y', /^py-/],
+    ['padding-start', /^ps-/],
+    ['padding-end', /^pe-/],
+    ['padding-top', /^pt-/],
+    ['padding-right', /^pr-/],
+    ['padding-bottom', /^pb-/],
+    ['padding-left', /^pl-/],
+    ['size', /^size-/],
+    ['width', /^w-/],
+    ['min-width', /^min-w-/],
+    ['max-width', /^max-w-/],
+    ['height', /^h-/],
+    ['min-height', /^min-h-/],
+    ['max-height', /^max-h-/],
+    ['flex', /^flex-(?:1|auto|initial|none)$/],
+    ['flex-direction', /^flex-(?:row|row-reverse|col|col-reverse)$/],
+    ['flex-wrap', /^flex-(?:wrap|wrap-reverse|nowrap)$/],
+    ['grid-template-columns', /^grid-cols-/],
+    ['grid-template-rows', /^grid-rows-/],
+    ['grid-column', /^col-(?:auto|span-)/],
+    ['align-items', /^items-/],
+    ['align-content', /^content-(?:normal|center|start|end|between|around|evenly|baseline|stretch)$/],
+    ['align-self', /^self-/],
+    ['justify-content', /^justify-(?!items-|self-)/],
+    ['gap', /^gap-(?![xy]-)/],
+    ['gap-x', /^gap-x-/],
+    ['gap-y', /^gap-y-/],
+    ['space-x', /^space-x-(?!reverse$)/],
+    ['space-y', /^space-y-(?!reverse$)/],
+    ['overflow', /^overflow-(?:auto|hidden|clip|visible|scroll)$/],
+    ['overflow-x', /^overflow-x-/],
+    ['overflow-y', /^overflow-y-/],
+    ['white-space', /^whitespace-/],
+    ['text-align', /^text-(?:left|center|right|justify|start|end)$/],
+    ['font-size', /^text-(?:xs|sm|base|lg|\d?xl)(?:\/.+)?$/],
+    ['color', new RegExp(`^text-${COLOR}$`)],
+    ['font-family', /^font-(?:sans|serif|mono)$/],
+    ['font-weight', /^font-(?:thin|extralight|light|normal|medium|semibold|bold|extrabold|black)$/],
+    ['font-style', /^(?:italic|not-italic)$/],
+    ['text-transform', /^(?:uppercase|lowercase|capitalize|normal-case)$/],
+    ['text-decoration-line', /^(?:underline|overline|line-through|no-underline)$/],
+    ['line-height', /^leading-/],
+    ['letter-spacing', /^tracking-/],
+    ['background-color', new RegExp(`^bg-${COLOR}$`)],
+    ['border-color', new RegExp(`^border-${COLOR}$`)],
+    ['border-width', /^border(?:-(?:0|2|4|8|px))?$/],
+    ['border-style', /^border-(?:solid|dashed|dotted|double|hidden|none)$/],
+    ['border-radius', /^rounded(?:-(?:none|sm|md|lg|xl|2xl|3xl|full))?$/],
+    ['box-shadow', /^shadow(?:-(?:sm|md|lg|xl|2xl|inner|none))?$/],
+    ['opacity', /^opacity-/],
+    ['cursor', /^cursor-/],
+    ['object-fit', /^object-(?:contain|cover|fill|none|scale-down)$/],
+    ['transition-duration', /^duration-/],
+    ['transition-timing-function', /^ease-/],
+    ['transition-delay', /^delay-/]
+];
+
+export const DEFAULT_CHECKS = {
+    duplicates: true,
+    conflicts: true,
+    empty: true
+};
+
+/**
+ * Tells which property a class sets, keyed by its variants so that
+ * `p-2 md:p-4` don't conflict
+ * @param {string} className - Class, e.g. `md:hover:!-mt-2`
+ * @returns {string|null} Key shared by conflicting classes, or null for classes
+ *   this module doesn't know
+ */
+export function getConflictKey(className) {
+    const { variants, utility } = splitVariants(className);
+    const isImportant = /^!|!$/.test(utility);
+    const name = utility.replace(/^!|!$/g, '').replace(/^-/, '');
+
+    const group = CONFLICT_GROUPS.find(([, pattern]) => pattern.test(name));
+    if (!group) return null;
+
+    return [...variants, isImportant ? `!${group[0]}` : group[0]].join(':');
+}
+
+/**
+ * Lists the classes of a value with their offsets
+ * @param {string} text - Text of a class value
+ * @returns {{className: string, start: number, end: number}[]}
+ */
+function tokenizeClasses(text) {
+    const tokens = [];
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        tokens.push({ className: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+/**
+ * Finds the problems of a plain class value. Values using template syntax
+ * (`${...}`, `{{ }}`, `{% %}`, `<? ?>`, `<% %>`, `@(...)`, `#{...}`) are only
+ * checked for emptiness.
+ * @param {string} text - Text of the value, without the quotes
+ * @param {Object} [checks] - Checks to run, all of them by default
+ * @param {boolean} [checks.duplicates] - Classes listed twice
+ * @param {boolean} [checks.conflicts] - Classes overridden by a later one
+ * @param {boolean} [checks.empty] - Values without classes
+ * @returns {{type: string, className: string, overriddenBy?: string, start: number, end: number, message: string}[]}
+ *   Problems with the offsets of the class they are about
+ */
+export function findClassProblems(text, checks = DEFAULT_CHECKS) {
+    const tokens = tokenizeClasses(text);
+
+    if (!tokens.length) {
+        return checks.empty
+            ? [{ type: 'empty', className: '', start: 0, end: text.length, message: 'Empty class attribute' }]
+            : [];
+    }
+    if (DYNAMIC_VALUE.test(text)) return [];
+
+    const problems = [];
+    const seen = new Set();
+    const lastByKey = new Map();
+
+    tokens.forEach(token => {
+        const { className } = token;
+        if (seen.has(className)) {
+            if (checks.duplicates) {
+                problems.push({ type: 'duplicate', ...token, message: `Duplicate class "${className}"` });
+            }
+            return;
+        }
+        seen.add(className);
+
+        const key = getConflictKey(className);
+        if (key === null) return;
+
+        const previous = lastByKey.get(key);
+        if (previous && checks.conflicts) {
+            problems.push({
+                type: 'conflict',
+                ...previous,
+                overriddenBy: className,
+                message: `"${previous.className}" is overridden by "${className}"`
+            });
+        }
+        lastByKey.set(key, token);
+    });
+
+    return problems.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Removes classes from a value along with the whitespace before them
+ * (after them for the first class), keeping the rest of the text as is
+ * @param {string} text - Text of the value
+ * @param {{start: number, end: number}[]} problems - Classes to remove, e.g. from `findClassProblems`
+ * @returns {string}
+ */
+export function removeClasses(text, problems) {
+    const starts = new Set(problems.filter(problem => problem.end > problem.start).map(problem => problem.start));
+    const tokens = tokenizeClasses(text);
+    const kept = tokens.filter(token => !starts.has(token.start));
+    if (kept.length === tokens.length) return text;
+    if (!kept.length) return '';
+
+    // Each kept class takes the whitespace before it, the first one keeps the value's leading whitespace
+    let result = text.slice(0, tokens[0].start);
+    kept.forEach((token, index) => {
+        if (index > 0) {
+            const previous = tokens[tokens.indexOf(token) - 1];
+            result += text.slice(previous.end, token.start);
+        }
+        result += token.className;
+    });
+    return result + text.slice(tokens[tokens.length - 1].end);
+}
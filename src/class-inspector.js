@@ -0,0 +1,227 @@
+const dom = ace.require('ace/lib/dom');
+
+const RENDER_DELAY = 200;
+const STATE_LABELS = {
+    folded: 'folded',
+    unfolded: 'unfolded',
+    pinned: 'pinned open',
+    none: 'not folded'
+};
+
+dom.importCssString(`
+.ace_tailwind-fold-inspector {
+    display: flex;
+    flex-direction: column;
+    height: 100%;
+    color: var(--primary-text-color, #d4d4d4);
+    font-size: 13px;
+}
+.ace_tailwind-fold-inspector-filter {
+    margin: 6px;
+    padding: 6px 8px;
+    border: 1px solid var(--border-color, #454545);
+    border-radius: 4px;
+    background: transparent;
+    color: inherit;
+    font-family: monospace;
+}
+.ace_tailwind-fold-inspector-summary {
+    padding: 0 8px 6px;
+    opacity: 0.7;
+}
+.ace_tailwind-fold-inspector-list {
+    flex: 1;
+    margin: 0;
+    padding: 0;
+    overflow-y: auto;
+    list-style: none;
+}
+.ace_tailwind-fold-inspector-item {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 6px 8px;
+    border-bottom: 1px solid var(--border-color, #454545);
+    cursor: pointer;
+}
+.ace_tailwind-fold-inspector-info {
+    flex: 1;
+    min-width: 0;
+}
+.ace_tailwind-fold-inspector-element {
+    color: var(--popup-active-color, #569cd6);
+    font-family: monospace;
+}
+.ace_tailwind-fold-inspector-meta {
+    opacity: 0.7;
+}
+.ace_tailwind-fold-inspector-classes {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+    font-family: monospace;
+    font-size: 12px;
+    opacity: 0.85;
+}
+.ace_tailwind-fold-inspector-toggle {
+    padding: 4px 8px;
+    border: 1px solid var(--border-color, #454545);
+    border-radius: 4px;
+    background: transparent;
+    color: inherit;
+}
+`, 'ace_tailwind-fold-inspector');
+
+/**
+ * Lists the class values of the current file with their line, element,
+ * class count and fold state. The list can be filtered by class name,
+ * and each value jumped to or folded and unfolded from it.
+ */
+export default class ClassInspector {
+    /**
+     * @param {Object} handler - TailwindFoldHandler whose discovered values are listed
+     * @param {HTMLElement} container - Element the panel is rendered into
+     */
+    constructor(handler, container) {
+        this.handler = handler;
+        this.container = container;
+        this.entries = [];
+        this.timeout = null;
+
+        this.scheduleRender = this.scheduleRender.bind(this);
+        this.render = this.render.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+
+        this.element = dom.createElement('div');
+        this.element.className = 'ace_tailwind-fold-inspector';
+
+        this.filter = dom.createElement('input');
+        this.filter.className = 'ace_tailwind-fold-inspector-filter';
+        this.filter.type = 'search';
+        this.filter.placeholder = 'Filter by class, e.g. dark:bg-slate-900';
+        this.filter.addEventListener('input', this.render);
+
+        this.summary = dom.createElement('div');
+        this.summary.className = 'ace_tailwind-fold-inspector-summary';
+
+        this.list = dom.createElement('ul');
+        this.list.className = 'ace_tailwind-fold-inspector-list';
+        this.list.addEventListener('click', this.handleClick);
+
+        this.element.appendChild(this.filter);
+        this.element.appendChild(this.summary);
+        this.element.appendChild(this.list);
+        this.container.appendChild(this.element);
+
+        this.handler.on('update', this.scheduleRender);
+        this.render();
+    }
+
+    scheduleRender() {
+        if (this.timeout) clearTimeout(this.timeout);
+        this.timeout = setTimeout(() => {
+            this.timeout = null;
+            // Rendered again when shown
+            if (this.element.offsetParent) this.render();
+        }, RENDER_DELAY);
+    }
+
+    render() {
+        const query = this.filter.value.trim();
+        const entries = this.handler.getClassAttributes();
+        this.entries = query
+            ? entries.filter(entry => entry.classes.some(className => className.includes(query)))
+            : entries;
+
+        this.summary.textContent = query
+            ? `${this.entries.length} of ${entries.length} class attributes`
+            : `${entries.length} class attributes`;
+
+        this.list.textContent = '';
+        this.entries.forEach((entry, index) => this.list.appendChild(this.renderEntry(entry, index, query)));
+    }
+
+    /**
+     * Builds the list item of a class value
+     * @private
+     * @param {Object} entry - Entry from `getClassAttributes`
+     * @param {number} index - Index of the entry in `this.entries`
+     * @param {string} query - Current filter
+     * @returns {HTMLElement}
+     */
+    renderEntry(entry, index, query) {
+        const item = dom.createElement('li');
+        item.className = 'ace_tailwind-fold-inspector-item';
+        item.dataset.index = index;
+
+        const info = dom.createElement('div');
+        info.className = 'ace_tailwind-fold-inspector-info';
+
+        const heading = dom.createElement('div');
+        const element = dom.createElement('span');
+        element.className = 'ace_tailwind-fold-inspector-element';
+        element.textContent = entry.element ? `<${entry.element}>` : '?';
+        const meta = dom.createElement('span');
+        meta.className = 'ace_tailwind-fold-inspector-meta';
+        const count = entry.classes.length;
+        meta.textContent = ` line ${entry.range.start.row + 1} · ${count} ${count === 1 ? 'class' : 'classes'} · ${STATE_LABELS[entry.state]}`;
+        heading.appendChild(element);
+        heading.appendChild(meta);
+
+        // Lead with the matching classes, as long values get cut off
+        const matching = query ? entry.classes.filter(className => className.includes(query)) : [];
+        const classes = dom.createElement('div');
+        classes.className = 'ace_tailwind-fold-inspector-classes';
+        classes.textContent = [...matching, ...entry.classes.filter(className => !matching.includes(className))].join(' ');
+
+        info.appendChild(heading);
+        info.appendChild(classes);
+        item.appendChild(info);
+
+        if (entry.state !== 'none') {
+            const toggle = dom.createElement('button');
+            toggle.className = 'ace_tailwind-fold-inspector-toggle';
+            toggle.textContent = entry.state === 'folded' ? 'Unfold' : 'Fold';
+            item.appendChild(toggle);
+        }
+        return item;
+    }
+
+    /**
+     * Jumps to the tapped value, or folds/unfolds it when its button is tapped
+     * @private
+     * @param {MouseEvent} e - Click event of the list
+     */
+    handleClick(e) {
+        const item = e.target.closest('.ace_tailwind-fold-inspector-item');
+        if (!item) return;
+
+        const entry = this.entries[Number(item.dataset.index)];
+        const { start } = entry.range;
+        if (e.target.closest('.ace_tailwind-fold-inspector-toggle')) {
+            if (entry.state === 'folded') {
+                this.handler.unfoldAt(start);
+            } else {
+                this.handler.foldAt(start);
+            }
+            this.render();
+            return;
+        }
+
+        // Right in front of the value, so it stays folded
+        const { editor } = this.handler;
+        editor.navigateTo(start.row, Math.max(0, start.column - 1));
+        editor.renderer.scrollCursorIntoView(null, 0.5);
+        editor.focus();
+    }
+
+    destroy() {
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+        this.handler.off('update', this.scheduleRender);
+        this.element.remove();
+        this.handler = null;
+    }
+}
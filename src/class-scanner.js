@@ -0,0 +1,943 @@
+/**
+ * Finds class attributes and class utility arguments in plain text. Works on
+ * anything with `getLine(row)` and `getLength()` (an Ace Document, or the line
+ * list `scanClassAttributes` builds), so it can run outside the editor.
+ *
+ * @example
+ * scanClassAttributes('<div class="flex items-center gap-2">', { mode: 'html', minClasses: 3 });
+ * // [{ kind: 'attribute', name: 'class', start: { row: 0, column: 12 },
+ * //    end: { row: 0, column: 36 }, classes: ['flex', 'items-center', 'gap-2'] }]
+ */
+
+import { compileModeDefinition, isModeDefinition, toModeId } from './mode-definitions.js';
+import { extractExpressionClasses, findFoldOffset } from './tailwind-classes.js';
+
+export { toModeId };
+
+export const DEFAULT_ATTRIBUTES = [
+    'class',
+    'className',
+    ':class',
+    'v-bind:class',
+    'class:list',
+    'class:names',
+    'classList',
+    '\\[class\\]',
+    '\\[className\\]',
+    '\\[ngClass\\]',
+    'tw',
+    'tailwind'
+];
+
+export const DEFAULT_FUNCTIONS = [
+    'clsx',
+    'cn',
+    'cx',
+    'classnames',
+    'classNames',
+    'twMerge',
+    'twJoin',
+    'cva',
+    'tv'
+];
+
+// Template tags that may hold quotes inside a quoted attribute value, e.g. `class="{{ "a" }}"`
+const TEMPLATE_TAGS = {
+    '{{': '}}',
+    '{%': '%}',
+    '<?': '?>',
+    '<%': '%>', // ERB and EEx
+    '@(': ')', // Razor
+    '#{': '}' // Ruby and Elixir string interpolation
+};
+
+// Ruby hash keys opening a class value, e.g. `link_to "Home", root_path, class: "..."` or `:class => "..."`
+const RUBY_CLASS_KEY = '(?:^|[^\\w-])(?:class:|:class\\s*=>|["\']class["\']\\s*=>)\\s*["\']';
+
+// Tag and id in front of a class chain, e.g. `div#main` in `div#main.flex.gap-2` (Pug, Slim)
+const SHORTHAND_TAG = /^\s*(?:[A-Za-z][\w-]*)?(?:#[\w-]+)?(?=\.(?:[\w-]|\\.))/;
+// Haml tags start with `%`, e.g. `%div.flex.gap-2`
+const HAML_SHORTHAND_TAG = /^\s*(?:%[\w-]+)?(?:#[\w-]+)?(?=\.(?:[\w-]|\\.))/;
+// Class chain, escaped characters such as `md\:flex` or `w-1\/2` belong to the class
+const SHORTHAND_CHAIN = /^(?:\.(?:[\w-]|\\.)+)+/;
+// Lines whose indented block is raw text rather than tags: Pug's `script.`, `p.` and
+// `p(class="a").`, Slim's `javascript:` and `css:` and Haml's `:javascript` filters
+const TEXT_BLOCK = /^\s*(?:[A-Za-z][\w-]*)?(?:[#.][\w-]+)*(?:\(.*\))?\.\s*$|^\s*(?:javascript|css|style):\s*$|^\s*:\w+\s*$/;
+
+// Opening tag of an element, e.g. `<div` or `<Card.Header`
+const OPENING_TAG = /<([A-Za-z][\w.:-]*)/g;
+// Tag at the start of a Pug or Slim line, e.g. `div` in `div(class="...")`
+const LEADING_TAG = /^\s*([A-Za-z][\w-]*)(?=[.#(\s])/;
+// Rows searched upwards for the tag of an attribute on a line of its own
+const TAG_LOOKBACK_ROWS = 10;
+
+// Comment directives, e.g. `<!-- tailwind-fold-ignore-next-line -->` or `// tailwind-fold-disable`
+const DIRECTIVE = /(?:\/\/|\/\*|<!--|\{\{!--|\{#|@\*|#|--)\s*tailwind-fold-(disable|enable|ignore-next-line)(?![\w-])/;
+export const DIRECTIVE_PREFIX = 'tailwind-fold-';
+
+// Attributes whose quoted value is an expression, e.g. `:class="{ hidden: !open }"` or `[ngClass]="..."`
+const BINDING_NAME = /^(?::|v-bind:|x-bind:|\[)/;
+
+/**
+ * Builds a RegExp pattern for matching attributes
+ * @param {string[]} patterns - Array of patterns
+ * @param {boolean} includeTemplates - Whether to include template literal/expression syntax
+ * @returns {RegExp} Compiled regular expression
+ */
+function buildPattern(patterns, includeTemplates) {
+    const quotes = includeTemplates ? '["\'`{]' : '["\']';
+    const patternString = patterns
+        .map(attr => `(?:${attr})\\s*=\\s*${quotes}`)
+        .join('|');
+    return new RegExp(patternString);
+}
+
+/**
+ * Builds the pattern matching calls to class utility functions such as `cn(`
+ * @param {string[]} functions - Function names
+ * @returns {RegExp|null} Compiled regular expression, or null when no functions are configured
+ */
+function buildFunctionPattern(functions) {
+    const names = [...new Set(functions)]
+        .map(name => name.replace(/[$.]/g, '\\$&'));
+    if (!names.length) return null;
+    return new RegExp(`(?:^|[^\\w$.])((?:${names.join('|')})\\s*\\()`);
+}
+
+/**
+ * Builds the patterns for common languages/frameworks
+ * @param {string[]} attributes - Attributes to watch
+ * @returns {Object} Mode id -> mode config
+ */
+function buildDefaultModes(attributes) {
+    const rubyMode = {
+        pattern: buildPattern(attributes, false),
+        codePattern: new RegExp(RUBY_CLASS_KEY)
+    };
+    const pugMode = {
+        pattern: buildPattern([
+            ...attributes,
+            '(?:^|\\s)(?:class|className)\\s*\\(',
+        ], false),
+        shorthandPattern: SHORTHAND_TAG
+    };
+
+    return {
+        // JSX/TSX
+        'ace/mode/jsx': {
+            pattern: buildPattern(attributes, true)
+        },
+        'ace/mode/tsx': {
+            pattern: buildPattern(attributes, true)
+        },
+        // Vue
+        'ace/mode/vue': {
+            pattern: buildPattern(attributes, true)
+        },
+        // Svelte
+        'ace/mode/svelte': {
+            pattern: buildPattern([
+                ...attributes,
+                'class:.*?(?=\\s|>|$)', // Svelte class directives
+            ], true)
+        },
+        // Astro
+        'ace/mode/astro': {
+            pattern: buildPattern(attributes, true)
+        },
+        // Blade
+        'ace/mode/blade': {
+            pattern: buildPattern([
+                ...attributes,
+                '(?:{!!|{\\??)\\s*class\\s*(?:}|\\?})',
+            ], true)
+        },
+        // Twig
+        'ace/mode/twig': {
+            pattern: buildPattern([
+                ...attributes,
+                '{{\\s*class\\s*}}',
+            ], true)
+        },
+        // Liquid
+        'ace/mode/liquid': {
+            pattern: buildPattern([
+                ...attributes,
+                '{%\\s*class\\s*%}',
+            ], true)
+        },
+        // Pug, which Ace calls Jade
+        'ace/mode/pug': { ...pugMode },
+        'ace/mode/jade': { ...pugMode },
+        // Haml, with `%div{class: "..."}` Ruby hashes
+        'ace/mode/haml': {
+            ...rubyMode,
+            shorthandPattern: HAML_SHORTHAND_TAG
+        },
+        // Slim
+        'ace/mode/slim': {
+            pattern: buildPattern(attributes, false),
+            shorthandPattern: SHORTHAND_TAG
+        },
+        // Phoenix HEEx, e.g. `class={["px-2", @active && "bg-blue-500"]}`
+        'ace/mode/html_elixir': {
+            pattern: buildPattern(attributes, true)
+        },
+        'ace/mode/elixir': {
+            pattern: buildPattern(attributes, true)
+        },
+        // Razor, `@(...)` expressions are skipped like template tags
+        'ace/mode/razor': {
+            pattern: buildPattern(attributes, false)
+        },
+        // ERB and Ruby view helpers
+        'ace/mode/html_ruby': { ...rubyMode },
+        'ace/mode/ruby': { ...rubyMode },
+        // PHP
+        'ace/mode/php': {
+            pattern: buildPattern([
+                ...attributes,
+                '(?:<?php\\s*)?(?:class|className)\\s*=\\s*["\']',
+            ], false)
+        },
+        // Default
+        'default': {
+            pattern: buildPattern(attributes, false)
+        }
+    };
+}
+
+/**
+ * Finds the rows turned off by comment directives. `tailwind-fold-disable`
+ * turns folding off until a `tailwind-fold-enable` (or the end of the file),
+ * `tailwind-fold-ignore-next-line` only for the line below it.
+ * @param {Object} lines - Line source with `getLine(row)` and `getLength()`
+ * @returns {{start: number, end: number}[]} Ignored row ranges
+ */
+export function findIgnoredRows(lines) {
+    const ignored = [];
+    let disabledFrom = -1;
+
+    for (let row = 0; row < lines.getLength(); row++) {
+        const line = lines.getLine(row);
+        if (!line.includes(DIRECTIVE_PREFIX)) continue;
+        const match = DIRECTIVE.exec(line);
+        if (!match) continue;
+
+        if (match[1] === 'ignore-next-line') {
+            ignored.push({ start: row + 1, end: row + 1 });
+        } else if (match[1] === 'disable') {
+            if (disabledFrom === -1) disabledFrom = row;
+        } else if (disabledFrom !== -1) {
+            ignored.push({ start: disabledFrom, end: row });
+            disabledFrom = -1;
+        }
+    }
+    if (disabledFrom !== -1) {
+        ignored.push({ start: disabledFrom, end: Infinity });
+    }
+    return ignored;
+}
+
+const comparePoints = (a, b) => a.row - b.row || a.column - b.column;
+
+/**
+ * Whether two ranges overlap or touch
+ * @param {Object} a - Range with `start` and `end` positions
+ * @param {Object} b - Range with `start` and `end` positions
+ * @returns {boolean}
+ */
+export function rangesIntersect(a, b) {
+    return comparePoints(a.end, b.start) >= 0 && comparePoints(a.start, b.end) <= 0;
+}
+
+/**
+ * Reads the text of a range from a line source
+ * @param {Object} lines - Line source with `getLine(row)`
+ * @param {Object} range - Range with `start` and `end` positions
+ * @returns {string}
+ */
+export function getRangeText(lines, { start, end }) {
+    const parts = [];
+    for (let row = start.row; row <= end.row; row++) {
+        const line = lines.getLine(row);
+        parts.push(line.slice(
+            row === start.row ? start.column : 0,
+            row === end.row ? end.column : line.length
+        ));
+    }
+    return parts.join('\n');
+}
+
+/**
+ * Names the element or call a class value belongs to
+ * @example
+ * findElementName(lines, range); // 'div', 'a#top' for `a#top.flex`, 'cn()' for `cn('...')`
+ * @param {Object} lines - Line source
+ * @param {Object} range - Range of the value, from `findRanges`
+ * @returns {string} Name, or an empty string when no tag is found
+ */
+export function findElementName(lines, range) {
+    if (range.kind === 'shorthand') return range.name.replace(/^%/, '') || 'div';
+    if (range.kind === 'function') return `${range.name}()`;
+
+    const { row, column } = range.start;
+    const before = lines.getLine(row).slice(0, column);
+    const tags = [...before.matchAll(OPENING_TAG)];
+    if (tags.length) return tags[tags.length - 1][1];
+
+    const leadingTag = LEADING_TAG.exec(before);
+    if (leadingTag) return leadingTag[1];
+
+    // Attributes on lines of their own, below their tag
+    for (let current = row - 1; current >= Math.max(0, row - TAG_LOOKBACK_ROWS); current--) {
+        const lineTags = [...lines.getLine(current).matchAll(OPENING_TAG)];
+        if (lineTags.length) return lineTags[lineTags.length - 1][1];
+    }
+    return '';
+}
+
+/**
+ * Turns the unescaped dots of a shorthand class chain into spaces, so
+ * `.flex.md\:p-4` reads like the class list ` flex md\:p-4` of the same length
+ * @param {string} text - Shorthand class chain
+ * @returns {string}
+ */
+function shorthandToText(text) {
+    return text.replace(/(\\.)|\./g, (match, escaped) => escaped || ' ');
+}
+
+/**
+ * Splits a quoted class list into classes, leaving out escape sequences,
+ * template tags such as `{{ ... }}` or `@(...)` and the words glued to those
+ * tags, which are only known at runtime
+ * @example
+ * splitTextClasses('@(x ? "a" : "b") px-2 bg-{{ color }}'); // ['px-2']
+ * @param {string} text - Value without its quotes
+ * @returns {string[]}
+ */
+function splitTextClasses(text) {
+    let stripped = '';
+    for (let i = 0; i < text.length; i++) {
+        // Escapes such as `\"` belong to the quoting, not to a class
+        if (text[i] === '\\') {
+            i++;
+            continue;
+        }
+
+        const close = TEMPLATE_TAGS[text.slice(i, i + 2)];
+        if (!close) {
+            stripped += text[i];
+            continue;
+        }
+
+        // Strings in the tag may hold its closer, like in `findClassEnd`
+        let end = i + 2;
+        let quote = null;
+        for (; end < text.length; end++) {
+            if (quote) {
+                if (text[end] === '\\') {
+                    end++;
+                } else if (text[end] === quote) {
+                    quote = null;
+                }
+            } else if (text.startsWith(close, end)) {
+                break;
+            } else if (text[end] === '"' || text[end] === "'") {
+                quote = text[end];
+            }
+        }
+        // Marks the words the tag was glued to
+        stripped += '\0';
+        i = end + close.length - 1;
+    }
+
+    return stripped.split(/\s+/).filter(className => className && !className.includes('\0'));
+}
+
+export class ClassScanner {
+    /**
+     * @param {Object} [options]
+     * @param {string[]} [options.attributes] - Attributes to watch, the defaults when omitted
+     * @param {string[]} [options.functions] - Class utility functions, the defaults when omitted
+     * @param {Object} [options.modes] - Custom mode configurations or definitions, by mode name
+     *   (`html`) or id (`ace/mode/html`)
+     */
+    constructor({ attributes = DEFAULT_ATTRIBUTES, functions = DEFAULT_FUNCTIONS, modes = {} } = {}) {
+        const defaultModes = buildDefaultModes(attributes);
+        this.modes = { ...defaultModes };
+        Object.entries(modes).forEach(([name, mode]) => {
+            const id = name === 'default' ? name : toModeId(name);
+            this.modes[id] = isModeDefinition(mode)
+                ? compileModeDefinition(id, mode, defaultModes[id] || defaultModes.default)
+                : mode;
+        });
+        this.functionPattern = buildFunctionPattern(functions);
+    }
+
+    /**
+     * @param {string} [modeId] - Ace mode id
+     * @returns {Object} Config of the mode, or the default one
+     */
+    getMode(modeId) {
+        return this.modes[modeId] || this.modes.default;
+    }
+
+    /**
+     * Finds the class values and class utility string arguments that start on a row
+     * @param {Object} lines - Line source with `getLine(row)` and `getLength()`
+     * @param {number} startRow - Row to scan
+     * @param {string} [modeId] - Ace mode id
+     * @param {Object} [filter] - Rejects matches in comments, strings and the like
+     * @param {Function} [filter.isAttributeMatch] - `(row, startCol, endCol) => boolean` for attributes
+     * @param {Function} [filter.isCodeMatch] - `(row, col) => boolean` for class utility calls
+     *   and class values opened in code, such as Ruby's `class: "..."`
+     * @returns {Object[]} Value ranges with the attribute or function `name` and their `kind`
+     */
+    findRanges(lines, startRow, modeId, filter = {}) {
+        const mode = this.getMode(modeId);
+        const foundRanges = [];
+
+        if (mode.shorthandPattern) {
+            const shorthand = this.findShorthandRange(lines, startRow, mode.shorthandPattern);
+            if (shorthand && (!filter.isCodeMatch || filter.isCodeMatch(startRow, shorthand.start.column))) {
+                foundRanges.push(shorthand);
+            }
+        }
+
+        foundRanges.push(...this.findAttributeRanges(lines, startRow, mode, mode.pattern,
+            (row, startCol, endCol) => !filter.isAttributeMatch || filter.isAttributeMatch(row, startCol, endCol)));
+
+        if (mode.codePattern) {
+            const codeRanges = this.findAttributeRanges(lines, startRow, mode, mode.codePattern,
+                (row, startCol) => !filter.isCodeMatch || filter.isCodeMatch(row, startCol));
+            // Hash keys are identifiers, so `:class => "` and `"class" => "` are both `class`
+            codeRanges.forEach(range => {
+                range.name = range.name.replace(/\s*(?:=>|:)$/, '').replace(/[^\w-]/g, '');
+            });
+            foundRanges.push(...codeRanges);
+        }
+
+        if (this.functionPattern && mode.functions !== false) {
+            foundRanges.push(...this.findClassFunctionRanges(lines, startRow, filter));
+        }
+
+        return foundRanges;
+    }
+
+    /**
+     * Finds a shorthand class chain such as `div.flex.items-center` at the
+     * start of a row (Pug, Haml, Slim)
+     * @private
+     * @param {Object} lines - Line source
+     * @param {number} row - Row to scan
+     * @param {RegExp} pattern - Pattern matching the tag in front of the chain
+     * @returns {Object|null} Range from the first class to the end of the chain,
+     *   with the tag as `name`
+     */
+    findShorthandRange(lines, row, pattern) {
+        const line = lines.getLine(row);
+        const tag = pattern.exec(line);
+        if (!tag || this.isInTextBlock(lines, row)) return null;
+
+        const chainStart = tag[0].length;
+        const chain = SHORTHAND_CHAIN.exec(line.slice(chainStart));
+        return {
+            start: { row, column: chainStart + 1 },
+            end: { row, column: chainStart + chain[0].length },
+            kind: 'shorthand',
+            name: tag[0].trim()
+        };
+    }
+
+    /**
+     * Whether a row is indented under a line opening a block of raw text,
+     * e.g. the script below Pug's `script.` or Slim's `javascript:`
+     * @private
+     * @param {Object} lines - Line source
+     * @param {number} row - Row to check
+     * @returns {boolean}
+     */
+    isInTextBlock(lines, row) {
+        let indent = lines.getLine(row).search(/\S/);
+        // Each less indented line up to the top level holds the row
+        for (let current = row - 1; current >= 0 && indent > 0; current--) {
+            const line = lines.getLine(current);
+            const lineIndent = line.search(/\S/);
+            if (lineIndent === -1 || lineIndent >= indent) continue;
+
+            if (TEXT_BLOCK.test(line)) return true;
+            indent = lineIndent;
+        }
+        return false;
+    }
+
+    /**
+     * Finds the values opened by the matches of a pattern on a row
+     * @private
+     * @param {Object} lines - Line source
+     * @param {number} row - Row to scan
+     * @param {Object} mode - Mode config
+     * @param {RegExp} pattern - Pattern matching up to the value's opening quote or brace
+     * @param {Function} isMatch - `(row, startCol, endCol) => boolean` rejecting matches
+     * @returns {Object[]} Value ranges with the attribute `name`
+     */
+    findAttributeRanges(lines, row, mode, pattern, isMatch) {
+        const ranges = [];
+        const line = lines.getLine(row);
+        let lastIndex = 0;
+
+        while (true) {
+            const match = pattern.exec(line.slice(lastIndex));
+            if (!match) break;
+
+            const matchIndex = lastIndex + match.index;
+            const matchEnd = matchIndex + match[0].length;
+            if (isMatch(row, matchIndex, matchEnd)) {
+                const classRange = this.findClassEnd(lines, row, matchEnd);
+                // Expressions built with class utilities fold per string argument instead
+                if (classRange && !this.containsClassFunction(lines, classRange, mode)) {
+                    classRange.kind = 'attribute';
+                    classRange.name = match[0].replace(/\s*=\s*\S$/, '').trim();
+                    ranges.push(classRange);
+                }
+            }
+            lastIndex = matchEnd;
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Finds the string arguments of class utility calls (`cn(...)`, `cva(...)`)
+     * that start on a row, including strings nested in variant objects
+     * @private
+     * @param {Object} lines - Line source
+     * @param {number} row - Row to scan for calls
+     * @param {Object} filter - See `findRanges`
+     * @returns {Object[]} Ranges of the string contents, each with the call range as `scope`
+     */
+    findClassFunctionRanges(lines, row, filter) {
+        const line = lines.getLine(row);
+        const ranges = [];
+        let lastIndex = 0;
+
+        while (true) {
+            const match = this.functionPattern.exec(line.slice(lastIndex));
+            if (!match) break;
+
+            const callIndex = lastIndex + match.index + match[0].length - match[1].length;
+            const argsStart = lastIndex + match.index + match[0].length;
+            const name = match[1].replace(/\s*\($/, '');
+            lastIndex = argsStart;
+
+            if (filter.isCodeMatch && !filter.isCodeMatch(row, callIndex)) continue;
+
+            const call = this.findCallStrings(lines, row, argsStart);
+            if (!call) continue;
+
+            const scope = { start: { row, column: callIndex }, end: call.end };
+            call.strings.forEach(string => ranges.push({ ...string, scope, kind: 'function', name }));
+            if (call.end.row === row) {
+                lastIndex = Math.max(lastIndex, call.end.column + 1);
+            }
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Walks a call's arguments from just after its opening paren up to the
+     * matching closing paren and collects every string literal inside
+     * @private
+     * @param {Object} lines - Line source
+     * @param {number} startRow - Row of the opening paren
+     * @param {number} startCol - Column right after the opening paren
+     * @returns {{strings: Object[], end: Object}|null} String content ranges and the closing paren position, or null if the call is not closed
+     */
+    findCallStrings(lines, startRow, startCol) {
+        const strings = [];
+        let depth = 1;
+        let quote = null;
+        let stringStart = null;
+        let interpolationDepth = 0;
+        let inBlockComment = false;
+
+        for (let row = startRow; row < lines.getLength(); row++) {
+            const line = lines.getLine(row);
+
+            for (let col = row === startRow ? startCol : 0; col < line.length; col++) {
+                const char = line[col];
+
+                if (inBlockComment) {
+                    if (char === '*' && line[col + 1] === '/') {
+                        inBlockComment = false;
+                        col++;
+                    }
+                } else if (interpolationDepth > 0) {
+                    if (char === '{') interpolationDepth++;
+                    if (char === '}') interpolationDepth--;
+                } else if (quote) {
+                    if (char === '\\') {
+                        col++;
+                    } else if (quote === '`' && char === '$' && line[col + 1] === '{') {
+                        interpolationDepth = 1;
+                        col++;
+                    } else if (char === quote) {
+                        strings.push({ start: stringStart, end: { row, column: col } });
+                        quote = null;
+                    }
+                } else if (char === '"' || char === "'" || char === '`') {
+                    quote = char;
+                    stringStart = { row, column: col + 1 };
+                } else if (char === '/' && line[col + 1] === '/') {
+                    break;
+                } else if (char === '/' && line[col + 1] === '*') {
+                    inBlockComment = true;
+                    col++;
+                } else if (char === '(' || char === '{' || char === '[') {
+                    depth++;
+                } else if (char === ')' || char === '}' || char === ']') {
+                    depth--;
+                    if (depth === 0) {
+                        return { strings, end: { row, column: col } };
+                    }
+                }
+            }
+
+            // Plain quotes can't span lines, so an unclosed one is a typo in progress
+            if (quote && quote !== '`') {
+                quote = null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether a brace expression value calls one of the class utility functions
+     * @private
+     * @param {Object} lines - Line source
+     * @param {Object} classRange - Range of the attribute value
+     * @param {Object} mode - Mode config
+     * @returns {boolean}
+     */
+    containsClassFunction(lines, classRange, mode) {
+        if (!this.functionPattern || mode.functions === false) return false;
+        const { start } = classRange;
+        if (lines.getLine(start.row)[start.column - 1] !== '{') return false;
+
+        return this.functionPattern.test(getRangeText(lines, classRange));
+    }
+
+    /**
+     * Finds where an attribute value opened just before a column ends. Quoted
+     * values skip escaped quotes and template tags such as `{{ "a" }}`,
+     * template literals skip `${...}` interpolations, and brace expressions
+     * skip strings, template literals and comments.
+     * @param {Object} lines - Line source
+     * @param {number} startRow - Row of the opening quote or brace
+     * @param {number} startCol - Column right after it
+     * @returns {Object|null} Range of the value, or null if it isn't closed
+     */
+    findClassEnd(lines, startRow, startCol) {
+        const opener = lines.getLine(startRow)[startCol - 1];
+        let root;
+        if (opener === '{') {
+            root = { type: 'expression', depth: 0 };
+        } else if (opener === '`') {
+            root = { type: 'template' };
+        } else if (opener === '"' || opener === "'") {
+            root = { type: 'value', quote: opener };
+        } else {
+            return null;
+        }
+
+        const stack = [root];
+        for (let row = startRow; row < lines.getLength(); row++) {
+            const line = lines.getLine(row);
+
+            for (let col = row === startRow ? startCol : 0; col < line.length; col++) {
+                const context = stack[stack.length - 1];
+                const char = line[col];
+                const next = line[col + 1];
+                let closed = false;
+
+                switch (context.type) {
+                    case 'value':
+                        if (char === '\\') {
+                            col++;
+                        } else if (char === context.quote) {
+                            closed = true;
+                        } else if (TEMPLATE_TAGS[char + next]) {
+                            stack.push({ type: 'tag', close: TEMPLATE_TAGS[char + next] });
+                            col++;
+                        } else if (char === '$' && next === '{') {
+                            stack.push({ type: 'expression', depth: 0 });
+                            col++;
+                        }
+                        break;
+                    case 'template':
+                        if (char === '\\') {
+                            col++;
+                        } else if (char === '`') {
+                            closed = true;
+                        } else if (char === '$' && next === '{') {
+                            stack.push({ type: 'expression', depth: 0 });
+                            col++;
+                        }
+                        break;
+                    case 'string':
+                        if (char === '\\') {
+                            col++;
+                        } else if (char === context.quote) {
+                            stack.pop();
+                        }
+                        break;
+                    case 'comment':
+                        if (char === '*' && next === '/') {
+                            stack.pop();
+                            col++;
+                        }
+                        break;
+                    case 'tag':
+                        if (line.startsWith(context.close, col)) {
+                            stack.pop();
+                            col += context.close.length - 1;
+                        } else if (char === '"' || char === "'") {
+                            stack.push({ type: 'string', quote: char });
+                        }
+                        break;
+                    case 'expression':
+                        if (char === '"' || char === "'") {
+                            stack.push({ type: 'string', quote: char });
+                        } else if (char === '`') {
+                            stack.push({ type: 'template' });
+                        } else if (char === '/' && next === '/') {
+                            col = line.length;
+                        } else if (char === '/' && next === '*') {
+                            stack.push({ type: 'comment' });
+                            col++;
+                        } else if (char === '{') {
+                            context.depth++;
+                        } else if (char === '}') {
+                            if (context.depth === 0) {
+                                closed = true;
+                            } else {
+                                context.depth--;
+                            }
+                        }
+                        break;
+                }
+
+                if (closed) {
+                    stack.pop();
+                    if (!stack.length) {
+                        return {
+                            start: { row: startRow, column: startCol },
+                            end: { row, column: col }
+                        };
+                    }
+                }
+            }
+
+            // Plain quotes in expressions can't span lines, so an unclosed one is a typo in progress
+            if (stack[stack.length - 1].type === 'string') {
+                stack.pop();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Splits the text of a value range into classes. Expression values
+     * (`className={...}`, `:class="..."`) and template literals only yield the
+     * class names in their strings and object keys.
+     * @param {Object} lines - Line source
+     * @param {Object} range - Range of the value
+     * @returns {string[]}
+     */
+    parseClasses(lines, range) {
+        const text = getRangeText(lines, range);
+
+        switch (this.getValueSyntax(lines, range)) {
+            case 'expression':
+                return extractExpressionClasses(text);
+            case 'template':
+                return extractExpressionClasses(`\`${text}\``);
+            case 'shorthand':
+                return shorthandToText(text).trim().split(/\s+/).filter(Boolean)
+                    .map(className => className.replace(/\\(.)/g, '$1'));
+            default:
+                return splitTextClasses(text);
+        }
+    }
+
+    /**
+     * Tells how a value is written
+     * @param {Object} lines - Line source
+     * @param {Object} range - Range of the value, from `findRanges`
+     * @returns {string} `expression` for `className={...}` and bindings such as `:class="..."`,
+     *   `template` for template literals, `shorthand` for chains such as `div.flex.gap-2`,
+     *   `text` for plain class lists
+     */
+    getValueSyntax(lines, range) {
+        if (range.kind === 'shorthand') return 'shorthand';
+
+        const opener = lines.getLine(range.start.row)[range.start.column - 1];
+
+        if (opener === '{' || (range.kind === 'attribute' && BINDING_NAME.test(range.name))) {
+            return 'expression';
+        }
+        return opener === '`' ? 'template' : 'text';
+    }
+
+    /**
+     * Finds where the fold of a value starts when the first classes stay visible.
+     * The mode's `visibleClasses` and `visibleChars` win over the given ones.
+     * Expressions and template literals are always folded whole.
+     * Shorthand chains are folded from the dot of the first hidden class.
+     * @param {Object} lines - Line source
+     * @param {Object} range - Range of the value, from `findRanges`
+     * @param {string} [modeId] - Ace mode id
+     * @param {Object} [options] - `visibleClasses`, `visibleChars` and `visibleLayout`, see `findFoldOffset`
+     * @returns {Object|null} Position of the first folded class, or null when nothing is left to fold
+     */
+    getFoldStart(lines, range, modeId, options = {}) {
+        const mode = this.getMode(modeId);
+        const visible = { ...options };
+        ['visibleClasses', 'visibleChars'].forEach(key => {
+            if (mode[key] !== undefined) visible[key] = mode[key];
+        });
+        if (!visible.visibleClasses && !visible.visibleChars) return range.start;
+
+        const syntax = this.getValueSyntax(lines, range);
+        if (syntax !== 'text' && syntax !== 'shorthand') return range.start;
+
+        const text = getRangeText(lines, range);
+        let offset = findFoldOffset(syntax === 'shorthand' ? shorthandToText(text) : text, visible);
+        if (offset === -1) return null;
+        // Hide the dot in front of the first folded class
+        if (syntax === 'shorthand' && offset > 0) offset--;
+
+        const before = text.slice(0, offset).split('\n');
+        return {
+            row: range.start.row + before.length - 1,
+            column: before.length === 1 ? range.start.column + offset : before[before.length - 1].length
+        };
+    }
+}
+
+/**
+ * Whether a value passes the fold thresholds. `minClasses` always applies,
+ * the other criteria only when set; `foldWhen` tells whether all of them or
+ * any one has to pass.
+ * @param {Object} lines - Line source
+ * @param {Object} range - Range of the value
+ * @param {string[]} classes - Classes of the value
+ * @param {Object} [thresholds]
+ * @param {number} [thresholds.minClasses=1] - Fewest classes
+ * @param {number} [thresholds.minLength=0] - Fewest characters in the value, 0 to skip
+ * @param {boolean} [thresholds.multiLineOnly=false] - Values spanning several lines only
+ * @param {number} [thresholds.overflowColumns=0] - Visible columns a row of the value must
+ *   go past, 0 to skip
+ * @param {string} [thresholds.foldWhen='all'] - `all` or `any`
+ * @returns {boolean}
+ */
+export function meetsThresholds(lines, range, classes, {
+    minClasses = 1,
+    minLength = 0,
+    multiLineOnly = false,
+    overflowColumns = 0,
+    foldWhen = 'all'
+} = {}) {
+    const checks = [classes.length >= minClasses];
+
+    if (minLength) {
+        checks.push(getRangeText(lines, range).trim().length >= minLength);
+    }
+    if (multiLineOnly) {
+        checks.push(range.end.row > range.start.row);
+    }
+    if (overflowColumns) {
+        let longest = 0;
+        for (let row = range.start.row; row <= range.end.row; row++) {
+            longest = Math.max(longest, lines.getLine(row).length);
+        }
+        checks.push(longest > overflowColumns);
+    }
+
+    return foldWhen === 'any' ? checks.some(Boolean) : checks.every(Boolean);
+}
+
+/**
+ * Scans a line source for class values, skipping rows turned off by
+ * directives. When values overlap, the later one wins, as in the editor.
+ * @param {ClassScanner} scanner - Scanner to use
+ * @param {Object} lines - Line source with `getLine(row)` and `getLength()`
+ * @param {string} [modeId] - Ace mode id
+ * @param {Object} [options] - Fold thresholds, see `meetsThresholds`
+ * @param {Object} [options.filter] - See `ClassScanner#findRanges`
+ * @param {number} [options.startRow=0] - First row to scan
+ * @param {number} [options.endRow] - Last row to scan, the last row of the source by default
+ * @returns {Object[]} Value ranges in document order, each with its `scope` and `classes`
+ */
+export function scanLines(scanner, lines, modeId, {
+    filter,
+    startRow = 0,
+    endRow = lines.getLength() - 1,
+    ...thresholds
+} = {}) {
+    const ignoredRows = findIgnoredRows(lines);
+    const results = [];
+
+    for (let row = Math.max(0, startRow); row <= Math.min(endRow, lines.getLength() - 1); row++) {
+        if (ignoredRows.some(({ start, end }) => row >= start && row <= end)) continue;
+
+        scanner.findRanges(lines, row, modeId, filter).forEach(range => {
+            const classes = scanner.parseClasses(lines, range);
+            if (!meetsThresholds(lines, range, classes, thresholds)) return;
+
+            for (let i = results.length - 1; i >= 0; i--) {
+                if (rangesIntersect(results[i], range)) results.splice(i, 1);
+            }
+            results.push({ ...range, scope: range.scope || { start: range.start, end: range.end }, classes });
+        });
+    }
+
+    return results.sort((a, b) => comparePoints(a.start, b.start));
+}
+
+/**
+ * Scans text for foldable class values without an editor
+ * @param {string} text - Source text
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Mode name or Ace mode id, e.g. `html` or `ace/mode/tsx`
+ * @param {string[]} [options.attributes=[]] - Attributes to watch besides the defaults
+ * @param {string[]} [options.functions=[]] - Class utility functions besides the defaults
+ * @param {number} [options.minClasses=1] - Skip values with fewer classes. The other
+ *   thresholds (`minLength`, `multiLineOnly`, `foldWhen`) are taken too, see `meetsThresholds`.
+ * @param {Object} [options.modes] - Custom mode configurations or definitions
+ * @returns {{kind: string, name: string, start: Object, end: Object, scope: Object, classes: string[]}[]}
+ *   Values in document order. `scope` is the whole call for class utility arguments, the value otherwise.
+ */
+export function scanClassAttributes(text, {
+    mode = 'default',
+    attributes = [],
+    functions = [],
+    modes = {},
+    ...thresholds
+} = {}) {
+    const scanner = new ClassScanner({
+        attributes: [...new Set([...DEFAULT_ATTRIBUTES, ...attributes])],
+        functions: [...DEFAULT_FUNCTIONS, ...functions],
+        modes
+    });
+    const textLines = text.split(/\r\n|\r|\n/);
+    const lines = {
+        getLine: row => textLines[row] || '',
+        getLength: () => textLines.length
+    };
+    return scanLines(scanner, lines, mode === 'default' ? mode : toModeId(mode), thresholds);
+}
@@ -0,0 +1,238 @@
+/**
+ * Tailwind class folding for CodeMirror 6
+ *
+ * @example
+ * import { EditorView, basicSetup } from 'codemirror';
+ * import { html } from '@codemirror/lang-html';
+ * import { tailwindFold } from './codemirror-tailwind-fold.js';
+ *
+ * new EditorView({
+ *   extensions: [basicSetup, html(), tailwindFold({ minClasses: 4, placeholder: '{first} +{rest}' })],
+ *   parent: document.body
+ * });
+ */
+
+import { StateEffect, StateField } from '@codemirror/state';
+import { Decoration, EditorView, ViewPlugin, WidgetType, keymap } from '@codemirror/view';
+import { language, syntaxTree } from '@codemirror/language';
+import FoldEngine from './fold-engine.js';
+import { toModeId } from './class-scanner.js';
+
+// CodeMirror language names whose closest Ace mode has another name
+const LANGUAGE_MODES = {
+    html: 'default',
+    javascript: 'ace/mode/jsx',
+    typescript: 'ace/mode/tsx'
+};
+
+const toggleEffect = StateEffect.define();
+// Number of characters fitting in the editor's width, for `overflowOnly`
+const columnsEffect = StateEffect.define();
+
+class PlaceholderWidget extends WidgetType {
+    constructor(placeholder, classes) {
+        super();
+        this.placeholder = placeholder;
+        this.classes = classes;
+    }
+
+    eq(other) {
+        return other.placeholder === this.placeholder && other.classes.join(' ') === this.classes.join(' ');
+    }
+
+    toDOM(view) {
+        const element = document.createElement('span');
+        element.className = 'cm-tailwind-fold';
+        element.textContent = this.placeholder;
+        element.title = this.classes.join(' ');
+        // Putting the cursor inside opens the fold
+        element.addEventListener('mousedown', event => {
+            event.preventDefault();
+            view.dispatch({ selection: { anchor: view.posAtDOM(element) } });
+            view.focus();
+        });
+        return element;
+    }
+
+    ignoreEvent() {
+        return false;
+    }
+}
+
+const baseTheme = EditorView.baseTheme({
+    '.cm-tailwind-fold': {
+        padding: '0 2px',
+        borderRadius: '3px',
+        cursor: 'pointer',
+        opacity: '0.7',
+        backgroundColor: 'rgba(127, 127, 127, 0.2)'
+    }
+});
+
+/**
+ * Toggles between all class values folded and all expanded
+ * @param {EditorView} view - Editor view
+ * @returns {boolean} Whether the command ran
+ */
+export function toggleTailwindFold(view) {
+    view.dispatch({ effects: toggleEffect.of(null) });
+    return true;
+}
+
+/**
+ * Creates the CodeMirror extension folding long class attributes
+ * @param {Object} [options] - Same as the Ace handler's `minClasses`, `minLength`, `overflowOnly`,
+ *   `multiLineOnly`, `foldWhen`, `placeholder`, `autoFold`,
+ *   `attributes`, `functions`, `disabledModes` and `modes`
+ * @param {string|Function} [options.mode] - Ace mode id (or `(state) => modeId`) to match with,
+ *   guessed from the language by default
+ * @returns {Object[]} Extension
+ */
+export function tailwindFold(options = {}) {
+    const { mode, ...engineOptions } = options;
+    const engine = new FoldEngine(engineOptions);
+
+    const getModeId = state => {
+        if (typeof mode === 'function') return mode(state);
+        if (mode) return toModeId(mode);
+
+        const lang = state.facet(language);
+        if (!lang) return 'default';
+        return LANGUAGE_MODES[lang.name] || toModeId(lang.name);
+    };
+
+    const hasNodeType = (state, pos, type) => {
+        for (let node = syntaxTree(state).resolveInner(pos, 1); node; node = node.parent) {
+            if (type.test(node.name)) return true;
+        }
+        return false;
+    };
+
+    // Like Ace's tokens: text in a comment or a string literal isn't markup, unless
+    // it's markup nested in it, e.g. a script in HTML
+    const isInLiteral = (state, pos) => {
+        for (let node = syntaxTree(state).resolveInner(pos, 1); node; node = node.parent) {
+            if (/Comment|String|Template/.test(node.name)) return true;
+            if (/Attribute|Tag|Element/.test(node.name)) return false;
+        }
+        return false;
+    };
+
+    // Rows a transaction changed, for `FoldEngine#rescan`
+    const getChangedRows = ({ startState, state, changes }) => {
+        let change = null;
+        // Ranges come in document order, so the ones before a range are already in place
+        changes.iterChangedRanges((fromA, toA, fromB, toB) => {
+            const startRow = state.doc.lineAt(fromB).number - 1;
+            change = FoldEngine.mergeChanges(change, {
+                startRow,
+                oldEndRow: startRow + startState.doc.lineAt(toA).number - startState.doc.lineAt(fromA).number,
+                endRow: state.doc.lineAt(toB).number - 1
+            });
+        });
+        return change;
+    };
+
+    // Only the changed rows are scanned again when a change is given
+    const scan = (state, columns, change) => {
+        const { doc } = state;
+        const lines = {
+            getLine: row => doc.line(row + 1).text,
+            getLength: () => doc.lines
+        };
+        const toPos = (row, column) => doc.line(row + 1).from + column;
+        const filter = {
+            isAttributeMatch: (row, startCol) => !isInLiteral(state, toPos(row, startCol)),
+            isCodeMatch: (row, startCol) => !hasNodeType(state, toPos(row, startCol), /Comment|String|Template/)
+        };
+        const folds = change
+            ? engine.rescan(lines, getModeId(state), change, filter, columns)
+            : engine.scan(lines, getModeId(state), filter, columns);
+
+        return folds.map(fold => ({
+            from: toPos(fold.start.row, fold.start.column),
+            to: toPos(fold.end.row, fold.end.column),
+            valueFrom: toPos(fold.valueStart.row, fold.valueStart.column),
+            placeholder: fold.placeholder,
+            classes: fold.classes
+        }));
+    };
+
+    const buildDecorations = (state, folds, expanded) => {
+        if (expanded) return Decoration.none;
+
+        const { ranges } = state.selection;
+        const collapsed = folds
+            .filter(fold => fold.to > fold.from)
+            .filter(fold => !ranges.some(range => range.to >= fold.valueFrom && range.from <= fold.to))
+            .map(fold => Decoration.replace({
+                widget: new PlaceholderWidget(fold.placeholder, fold.classes)
+            }).range(fold.from, fold.to));
+        return Decoration.set(collapsed, true);
+    };
+
+    const foldField = StateField.define({
+        create(state) {
+            const folds = scan(state, 0);
+            const expanded = !engine.options.autoFold;
+            return { folds, expanded, columns: 0, decorations: buildDecorations(state, folds, expanded) };
+        },
+
+        update(value, transaction) {
+            let { folds, expanded, columns } = value;
+            const toggled = transaction.effects.some(effect => effect.is(toggleEffect));
+            const resized = transaction.effects.find(effect => effect.is(columnsEffect));
+
+            if (toggled) expanded = !expanded;
+            if (resized) columns = resized.value;
+            if (resized) {
+                folds = scan(transaction.state, columns);
+            } else if (transaction.docChanged) {
+                folds = scan(transaction.state, columns, getChangedRows(transaction));
+            }
+            if (!toggled && !resized && !transaction.docChanged && !transaction.selection) return value;
+
+            return { folds, expanded, columns, decorations: buildDecorations(transaction.state, folds, expanded) };
+        },
+
+        provide: field => EditorView.decorations.from(field, value => value.decorations)
+    });
+
+    const overflowMeasure = ViewPlugin.fromClass(class {
+        constructor(view) {
+            this.timeout = null;
+            this.measure(view);
+        }
+
+        update(update) {
+            if (update.geometryChanged) this.measure(update.view);
+        }
+
+        measure(view) {
+            if (!engine.options.overflowOnly) return;
+
+            view.requestMeasure({
+                read: () => (view.defaultCharacterWidth
+                    ? Math.floor(view.contentDOM.clientWidth / view.defaultCharacterWidth)
+                    : 0),
+                write: columns => {
+                    if (columns === view.state.field(foldField).columns) return;
+                    // The view can't be updated while it is being measured
+                    clearTimeout(this.timeout);
+                    this.timeout = setTimeout(() => view.dispatch({ effects: columnsEffect.of(columns) }));
+                }
+            });
+        }
+
+        destroy() {
+            clearTimeout(this.timeout);
+        }
+    });
+
+    return [
+        foldField,
+        overflowMeasure,
+        baseTheme,
+        keymap.of([{ key: 'Alt-t', run: toggleTailwindFold }])
+    ];
+}
@@ -0,0 +1,150 @@
+const dom = ace.require('ace/lib/dom');
+
+const UPDATE_DELAY = 300;
+// Marks our annotations so the ones of other sources (e.g. the mode's worker) are kept
+const ANNOTATION_SOURCE = 'tailwind-fold';
+
+dom.importCssString(`
+.ace_tailwind-fold-problem {
+    position: absolute;
+    border-bottom: 2px dotted #e5a50a;
+}
+.ace_tailwind-fold-problem-value {
+    position: absolute;
+    background-color: rgba(229, 165, 10, 0.15);
+}
+`, 'ace_tailwind-fold-problem');
+
+/**
+ * Shows class problems as gutter annotations and markers. Each problem's
+ * class is underlined, and its whole value is tinted, which covers the
+ * placeholder while the value is folded.
+ */
+export default class FoldDiagnostics {
+    /**
+     * @param {Object} editor - Ace editor instance
+     * @param {Function} findProblems - Returns the problems of the current session, each
+     *   with a `type`, a `message`, the `range` of its class and the `valueRange` it is in
+     */
+    constructor(editor, findProblems) {
+        this.editor = editor;
+        this.findProblems = findProblems;
+        this.session = null;
+        this.markerIds = [];
+        this.annotations = [];
+        this.timeout = null;
+
+        this.scheduleUpdate = this.scheduleUpdate.bind(this);
+        this.handleSessionChange = this.handleSessionChange.bind(this);
+        this.handleAnnotationChange = this.handleAnnotationChange.bind(this);
+
+        this.editor.on('change', this.scheduleUpdate);
+        this.editor.on('changeSession', this.handleSessionChange);
+        this.attach(this.editor.session);
+    }
+
+    attach(session) {
+        this.session = session;
+        session.on('changeAnnotation', this.handleAnnotationChange);
+        session.on('changeMode', this.scheduleUpdate);
+        this.scheduleUpdate();
+    }
+
+    /**
+     * Removes the markers and annotations from the current session
+     * @private
+     */
+    detach() {
+        if (!this.session) return;
+
+        this.clear();
+        this.session.off('changeAnnotation', this.handleAnnotationChange);
+        this.session.off('changeMode', this.scheduleUpdate);
+        this.session = null;
+    }
+
+    handleSessionChange({ session }) {
+        this.detach();
+        if (session) this.attach(session);
+    }
+
+    scheduleUpdate() {
+        if (this.timeout) clearTimeout(this.timeout);
+        this.timeout = setTimeout(() => {
+            this.timeout = null;
+            this.update();
+        }, UPDATE_DELAY);
+    }
+
+    update() {
+        if (!this.session) return;
+
+        this.clearMarkers();
+        const problems = this.findProblems();
+        const markedValues = new Set();
+
+        problems.forEach(({ range, valueRange }) => {
+            this.markerIds.push(this.session.addMarker(range, 'ace_tailwind-fold-problem', 'text', true));
+
+            const valueKey = valueRange.toString();
+            if (!markedValues.has(valueKey)) {
+                markedValues.add(valueKey);
+                this.markerIds.push(this.session.addMarker(valueRange, 'ace_tailwind-fold-problem-value', 'text'));
+            }
+        });
+
+        this.annotations = problems.map(({ type, message, range }) => ({
+            row: range.start.row,
+            column: range.start.column,
+            text: message,
+            type: type === 'empty' ? 'info' : 'warning',
+            source: ANNOTATION_SOURCE
+        }));
+        this.mergeAnnotations();
+    }
+
+    /**
+     * Replaces our annotations in the session, keeping the other ones
+     * @private
+     */
+    mergeAnnotations() {
+        const others = this.session.getAnnotations().filter(annotation => annotation.source !== ANNOTATION_SOURCE);
+        if (!this.annotations.length && others.length === this.session.getAnnotations().length) return;
+
+        this.session.setAnnotations([...others, ...this.annotations]);
+    }
+
+    /**
+     * Puts our annotations back when another source (e.g. a linter worker)
+     * replaces the session's annotations
+     * @private
+     */
+    handleAnnotationChange() {
+        if (!this.annotations.length) return;
+        if (this.session.getAnnotations().some(annotation => annotation.source === ANNOTATION_SOURCE)) return;
+
+        this.mergeAnnotations();
+    }
+
+    clearMarkers() {
+        this.markerIds.forEach(id => this.session.removeMarker(id));
+        this.markerIds = [];
+    }
+
+    clear() {
+        this.clearMarkers();
+        this.annotations = [];
+        this.mergeAnnotations();
+    }
+
+    destroy() {
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+        this.editor.off('change', this.scheduleUpdate);
+        this.editor.off('changeSession', this.handleSessionChange);
+        this.detach();
+        this.editor = null;
+    }
+}
@@ -0,0 +1,229 @@
+import {
+    ClassScanner,
+    DEFAULT_ATTRIBUTES,
+    DEFAULT_FUNCTIONS,
+    DIRECTIVE_PREFIX,
+    findIgnoredRows,
+    rangesIntersect,
+    scanLines,
+    toModeId
+} from './class-scanner.js';
+import { renderPlaceholder } from './tailwind-classes.js';
+
+const comparePoints = (a, b) => a.row - b.row || a.column - b.column;
+
+/**
+ * Editor-independent part of the CodeMirror and Monaco adapters: options,
+ * detection, placeholders and which folds are collapsed. Positions are
+ * `{ row, column }` like everywhere else; adapters convert them.
+ */
+export default class FoldEngine {
+    /**
+     * @param {Object} [options] - Same as the Ace handler's `minClasses`, `minLength`,
+     *   `overflowOnly`, `multiLineOnly`, `foldWhen`, `placeholder`, `autoFold`, `attributes`,
+     *   `functions`, `disabledModes`, `modes`, `visibleClasses`, `visibleChars` and `visibleLayout`
+     */
+    constructor(options = {}) {
+        this.options = {
+            minClasses: 3,
+            minLength: 0,
+            overflowOnly: false,
+            multiLineOnly: false,
+            foldWhen: 'all',
+            placeholder: '...',
+            autoFold: true,
+            attributes: [],
+            functions: [],
+            disabledModes: [],
+            modes: {},
+            visibleClasses: 0,
+            visibleChars: 0,
+            visibleLayout: false
+        };
+        this.folds = [];
+        this.hasDirectives = false; // Directives were found on the last scan
+        this.setOptions(options);
+        // Without auto fold nothing is collapsed until the toggle command
+        this.expanded = !this.options.autoFold;
+    }
+
+    setOptions(newOptions = {}) {
+        this.options = { ...this.options, ...newOptions };
+        this.scanner = new ClassScanner({
+            attributes: [...new Set([...DEFAULT_ATTRIBUTES, ...this.options.attributes])],
+            functions: [...DEFAULT_FUNCTIONS, ...this.options.functions],
+            modes: this.options.modes
+        });
+    }
+
+    /**
+     * Finds the foldable values of a document
+     * @param {Object} lines - Line source with `getLine(row)` and `getLength()`
+     * @param {string} modeId - Ace mode id the editor's language maps to
+     * @param {Object} [filter] - Rejects matches in comments and strings, see `ClassScanner#findRanges`
+     * @param {number} [visibleColumns=0] - Characters fitting in the editor's width, for `overflowOnly`.
+     *   0 when unknown, which leaves that threshold out.
+     * @returns {Object[]} Folds with `start`, `end`, `scope`, `classes` and `placeholder`. When the
+     *   first classes stay visible, `start` is where the folded part begins and `valueStart` where the value does.
+     */
+    scan(lines, modeId, filter, visibleColumns = 0) {
+        this.folds = this.findFolds(lines, modeId, { filter, visibleColumns });
+        this.hasDirectives = findIgnoredRows(lines).length > 0;
+        return this.folds;
+    }
+
+    /**
+     * Re-scans the rows an edit touched and keeps the folds found elsewhere,
+     * moving the ones below the edit by the rows it added or removed. Files
+     * with comment directives are scanned in full, as those reach past the edit.
+     * @param {Object} lines - Line source with `getLine(row)` and `getLength()`, after the edit
+     * @param {string} modeId - Ace mode id the editor's language maps to
+     * @param {Object} change - Rows the edit touched, see `FoldEngine.mergeChanges`
+     * @param {Object} [filter] - Rejects matches in comments and strings, see `ClassScanner#findRanges`
+     * @param {number} [visibleColumns=0] - Characters fitting in the editor's width, see `scan`
+     * @returns {Object[]} Folds, see `scan`
+     */
+    rescan(lines, modeId, { startRow, endRow, lineShift }, filter, visibleColumns = 0) {
+        let hasDirective = this.hasDirectives;
+        for (let row = startRow; row <= endRow && !hasDirective; row++) {
+            hasDirective = row < lines.getLength() && lines.getLine(row).includes(DIRECTIVE_PREFIX);
+        }
+        if (hasDirective) return this.scan(lines, modeId, filter, visibleColumns);
+
+        const oldEndRow = endRow - lineShift;
+        const shiftPoint = point => ({ row: point.row + lineShift, column: point.column });
+        const kept = [];
+        this.folds.forEach(fold => {
+            if (fold.scope.end.row < startRow) {
+                kept.push(fold);
+            } else if (fold.scope.start.row > oldEndRow) {
+                kept.push({
+                    ...fold,
+                    start: shiftPoint(fold.start),
+                    end: shiftPoint(fold.end),
+                    valueStart: shiftPoint(fold.valueStart),
+                    scope: { start: shiftPoint(fold.scope.start), end: shiftPoint(fold.scope.end) }
+                });
+            } else {
+                // Multi-line values crossing the edit are scanned again as a whole
+                startRow = Math.min(startRow, fold.scope.start.row);
+                if (fold.scope.end.row > oldEndRow) endRow = Math.max(endRow, fold.scope.end.row + lineShift);
+            }
+        });
+
+        const found = this.findFolds(lines, modeId, { filter, visibleColumns, startRow, endRow });
+        // A value that now runs past the rescanned rows replaces the folds it swallowed
+        this.folds = kept
+            .filter(fold => !found.some(other => rangesIntersect(fold.scope, other.scope)))
+            .concat(found)
+            .sort((a, b) => comparePoints(a.start, b.start));
+        return this.folds;
+    }
+
+    /**
+     * Finds the foldable values of some rows and builds their folds
+     * @private
+     * @param {Object} lines - Line source with `getLine(row)` and `getLength()`
+     * @param {string} modeId - Ace mode id
+     * @param {Object} options - `filter` and `visibleColumns` as in `scan`, and the
+     *   `startRow` and `endRow` to scan, every row by default
+     * @returns {Object[]} Folds, see `scan`
+     */
+    findFolds(lines, modeId, { filter, visibleColumns = 0, startRow, endRow }) {
+        if (this.options.disabledModes.some(mode => toModeId(mode) === modeId)) return [];
+
+        const folds = [];
+        const { minClasses, minLength, multiLineOnly, overflowOnly, foldWhen } = this.options;
+        scanLines(this.scanner, lines, modeId, {
+            minClasses,
+            minLength,
+            multiLineOnly,
+            overflowColumns: overflowOnly ? visibleColumns : 0,
+            foldWhen,
+            filter,
+            startRow,
+            endRow
+        }).forEach(fold => {
+            const start = this.scanner.getFoldStart(lines, fold, modeId, this.options);
+            if (!start) return;
+
+            // The placeholder stands for the hidden classes only
+            const hidden = start === fold.start
+                ? fold.classes
+                : this.scanner.parseClasses(lines, { ...fold, start });
+            folds.push({
+                ...fold,
+                start,
+                valueStart: fold.start,
+                placeholder: renderPlaceholder(this.options.placeholder, hidden)
+            });
+        });
+        return folds;
+    }
+
+    /**
+     * Folds to show collapsed. The ones touched by a cursor or selection stay open so they can be edited.
+     * @param {Object[]} selections - Cursor positions, or selection ranges with `start` and `end`
+     * @returns {Object[]}
+     */
+    getCollapsedFolds(selections) {
+        if (this.expanded) return [];
+        return this.folds.filter(fold => !selections.some(selection => (selection.start
+            ? FoldEngine.overlaps(fold, selection)
+            : FoldEngine.contains(fold, selection))));
+    }
+
+    toggle() {
+        this.expanded = !this.expanded;
+    }
+
+    /**
+     * Adds an edit to the rows waiting for a `rescan`, moving them along
+     * with the rows the edit added or removed
+     * @example
+     * // Two rows replaced by five on row 10
+     * FoldEngine.mergeChanges(null, { startRow: 10, oldEndRow: 11, endRow: 14 });
+     * // { startRow: 10, endRow: 14, lineShift: 3 }
+     * @param {Object|null} pending - Rows from earlier calls, null when there are none
+     * @param {Object} change - First and last row the edit replaced (`startRow`, `oldEndRow`)
+     *   and the last row of the text it put there (`endRow`)
+     * @returns {{startRow: number, endRow: number, lineShift: number}} Rows touched, in the
+     *   document after the edit, and the number of rows added (negative when removed)
+     */
+    static mergeChanges(pending, { startRow, oldEndRow, endRow }) {
+        const lineShift = endRow - oldEndRow;
+        if (!pending) return { startRow, endRow, lineShift };
+
+        const moveRow = row => (row > oldEndRow ? row + lineShift : Math.min(row, endRow));
+        return {
+            startRow: Math.min(startRow, moveRow(pending.startRow)),
+            endRow: Math.max(endRow, moveRow(pending.endRow)),
+            lineShift: pending.lineShift + lineShift
+        };
+    }
+
+    /**
+     * Whether a position is inside a fold's value or on its edges
+     * @param {Object} fold - Fold with `start`, `end` and optionally `valueStart`
+     * @param {Object} position - Position to check
+     * @returns {boolean}
+     */
+    static contains(fold, { row, column }) {
+        const start = fold.valueStart || fold.start;
+        const { end } = fold;
+        if (row < start.row || row > end.row) return false;
+        if (row === start.row && column < start.column) return false;
+        if (row === end.row && column > end.column) return false;
+        return true;
+    }
+
+    /**
+     * Whether a range overlaps a fold's value or touches its edges
+     * @param {Object} fold - Fold with `start`, `end` and optionally `valueStart`
+     * @param {Object} range - Range with `start` and `end` positions
+     * @returns {boolean}
+     */
+    static overlaps(fold, { start, end }) {
+        return comparePoints(start, fold.end) <= 0 && comparePoints(end, fold.valueStart || fold.start) >= 0;
+    }
+}
@@ -0,0 +1,119 @@
+const fsOperation = acode.require('fsOperation');
+
+const STATE_FILE = 'tailwind-fold-state.json';
+// Oldest entries are dropped past this many files
+const MAX_ENTRIES = 200;
+const SAVE_DELAY = 1000;
+// Files on the device, whose existence can be checked quickly
+const LOCAL_URI = /^(?:file:\/\/|\/)/;
+
+/**
+ * Keeps the fold state of each file in the app's data storage so pins and
+ * expanded files survive app restarts
+ */
+export default class FoldStateStore {
+    constructor() {
+        this.entries = {}; // File uri -> { state, updatedAt }
+        this.saveTimeout = null;
+    }
+
+    get directory() {
+        return window.DATA_STORAGE.replace(/\/?$/, '/');
+    }
+
+    async load() {
+        try {
+            const fs = fsOperation(this.directory + STATE_FILE);
+            if (!await fs.exists()) return;
+
+            const entries = JSON.parse(await fs.readFile('utf8'));
+            this.entries = entries && typeof entries === 'object' ? entries : {};
+        } catch (error) {
+            console.error('TailwindFold: could not load fold state', error);
+            this.entries = {};
+        }
+    }
+
+    /**
+     * @param {string} uri - File uri
+     * @returns {Object|null} Fold state saved for the file
+     */
+    get(uri) {
+        const entry = uri && this.entries[uri];
+        return entry ? entry.state : null;
+    }
+
+    /**
+     * Saves the fold state of a file, forgetting files with nothing to restore
+     * @param {string} uri - File uri
+     * @param {Object|null} state - State from the handler's `getFoldState`, null when unknown
+     */
+    set(uri, state) {
+        if (!uri || !state) return;
+
+        if (!state.expanded && !state.pins.length) {
+            if (!this.entries[uri]) return;
+            delete this.entries[uri];
+        } else {
+            this.entries[uri] = { state, updatedAt: Date.now() };
+        }
+        this.scheduleSave();
+    }
+
+    /**
+     * Drops entries of local files that no longer exist and the oldest ones
+     * past the limit. Remote and SAF files aren't checked, as reaching them can
+     * take long or never finish; the limit drops them eventually.
+     */
+    async prune() {
+        const uris = Object.keys(this.entries).filter(uri => LOCAL_URI.test(uri));
+        let changed = false;
+
+        const missing = await Promise.all(uris.map(async uri => {
+            try {
+                return !await fsOperation(uri).exists();
+            } catch (error) {
+                // Storage not readable right now, keep the entry
+                return false;
+            }
+        }));
+        uris.forEach((uri, index) => {
+            if (!missing[index]) return;
+            delete this.entries[uri];
+            changed = true;
+        });
+
+        const kept = Object.keys(this.entries)
+            .sort((a, b) => this.entries[b].updatedAt - this.entries[a].updatedAt);
+        kept.slice(MAX_ENTRIES).forEach(uri => {
+            delete this.entries[uri];
+            changed = true;
+        });
+
+        if (changed) this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (this.saveTimeout) clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => this.save(), SAVE_DELAY);
+    }
+
+    async save() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        try {
+            const data = JSON.stringify(this.entries);
+            const fs = fsOperation(this.directory + STATE_FILE);
+            if (await fs.exists()) {
+                await fs.writeFile(data);
+            } else {
+                await fsOperation(this.directory).createFile(STATE_FILE, data);
+            }
+        } catch (error) {
+            console.error('TailwindFold: could not save fold state', error);
+        }
+    }
+}
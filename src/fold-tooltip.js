@@ -0,0 +1,210 @@
+import { groupClassesByVariant } from './tailwind-classes.js';
+
+const dom = ace.require('ace/lib/dom');
+
+const HOVER_DELAY = 300;
+const LONG_PRESS_DELAY = 500;
+// How far a finger may drift before a long press turns into a scroll
+const TOUCH_SLOP = 10;
+
+dom.importCssString(`
+.ace_tailwind-fold-tooltip {
+    position: fixed;
+    z-index: 999;
+    max-width: min(90vw, 420px);
+    max-height: 50vh;
+    overflow: hidden;
+    padding: 6px 8px;
+    border: 1px solid var(--border-color, #454545);
+    border-radius: 4px;
+    background: var(--popup-background-color, #252526);
+    color: var(--popup-text-color, #d4d4d4);
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+    font-family: monospace;
+    font-size: 12px;
+    line-height: 1.5;
+    word-break: break-all;
+    pointer-events: none;
+}
+.ace_tailwind-fold-tooltip-title {
+    margin-bottom: 4px;
+    opacity: 0.7;
+}
+.ace_tailwind-fold-tooltip-variant {
+    margin-right: 6px;
+    color: var(--popup-active-color, #569cd6);
+}
+`, 'ace_tailwind-fold-tooltip');
+
+/**
+ * Shows the classes of a folded attribute, grouped by variant, when its
+ * placeholder is hovered (desktop) or long-pressed (touch)
+ */
+export default class FoldTooltip {
+    /**
+     * @param {Object} editor - Ace editor instance
+     * @param {Function} getClassesAt - Returns the classes folded at a document position, or null
+     */
+    constructor(editor, getClassesAt) {
+        this.editor = editor;
+        this.getClassesAt = getClassesAt;
+        this.element = null;
+        this.timeout = null;
+        this.touch = null;
+
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.hide = this.hide.bind(this);
+
+        const container = this.editor.container;
+        this.editor.on('mousemove', this.handleMouseMove);
+        this.editor.on('mousewheel', this.hide);
+        this.editor.on('change', this.hide);
+        container.addEventListener('mouseleave', this.hide);
+        container.addEventListener('touchstart', this.handleTouchStart, { passive: true });
+        container.addEventListener('touchmove', this.handleTouchMove, { passive: true });
+        container.addEventListener('touchend', this.handleTouchEnd);
+        container.addEventListener('touchcancel', this.handleTouchEnd);
+    }
+
+    handleMouseMove(e) {
+        const target = e.domEvent.target;
+        if (!target || !dom.hasCssClass(target, 'ace_fold')) {
+            this.hide();
+            return;
+        }
+        if (this.element && this.target === target) return;
+
+        const { clientX, clientY } = e.domEvent;
+        const position = e.getDocumentPosition();
+        this.schedule(HOVER_DELAY, () => {
+            this.target = target;
+            this.show(position, clientX, clientY);
+        });
+    }
+
+    handleTouchStart(e) {
+        this.hide();
+        if (e.touches.length !== 1) return;
+
+        const { clientX, clientY } = e.touches[0];
+        this.touch = { x: clientX, y: clientY, shown: false };
+        this.schedule(LONG_PRESS_DELAY, () => {
+            const target = document.elementFromPoint(clientX, clientY);
+            if (!target || !dom.hasCssClass(target, 'ace_fold')) return;
+
+            const position = this.editor.renderer.screenToTextCoordinates(clientX, clientY);
+            this.touch.shown = this.show(position, clientX, clientY);
+        });
+    }
+
+    handleTouchMove(e) {
+        if (!this.touch) return;
+
+        const { clientX, clientY } = e.touches[0];
+        const moved = Math.abs(clientX - this.touch.x) > TOUCH_SLOP
+            || Math.abs(clientY - this.touch.y) > TOUCH_SLOP;
+        if (moved) {
+            this.touch = null;
+            this.hide();
+        }
+    }
+
+    handleTouchEnd(e) {
+        this.clearTimeout();
+        // Keep the tap that opened the tooltip from also expanding the fold
+        if (this.touch && this.touch.shown && e.cancelable) {
+            e.preventDefault();
+        }
+        this.touch = null;
+    }
+
+    schedule(delay, callback) {
+        this.clearTimeout();
+        this.timeout = setTimeout(() => {
+            this.timeout = null;
+            callback();
+        }, delay);
+    }
+
+    clearTimeout() {
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+    }
+
+    /**
+     * Renders the tooltip for the class fold at a document position
+     * @param {Object} position - Document position of the placeholder
+     * @param {number} x - Screen x coordinate to anchor the tooltip to
+     * @param {number} y - Screen y coordinate to anchor the tooltip to
+     * @returns {boolean} Whether a tooltip was shown
+     */
+    show(position, x, y) {
+        const classes = this.getClassesAt(position);
+        if (!classes || !classes.length) return false;
+
+        this.removeElement();
+        const element = dom.createElement('div');
+        element.className = 'ace_tailwind-fold-tooltip';
+
+        const title = dom.createElement('div');
+        title.className = 'ace_tailwind-fold-tooltip-title';
+        title.textContent = `${classes.length} classes`;
+        element.appendChild(title);
+
+        groupClassesByVariant(classes).forEach(group => {
+            const row = dom.createElement('div');
+            const variant = dom.createElement('span');
+            variant.className = 'ace_tailwind-fold-tooltip-variant';
+            variant.textContent = group.variant || 'base';
+            row.appendChild(variant);
+            row.appendChild(document.createTextNode(group.classes.join(' ')));
+            element.appendChild(row);
+        });
+
+        document.body.appendChild(element);
+        this.element = element;
+
+        // Keep the tooltip on screen, flipping above the pointer when there's no room below
+        const { innerWidth, innerHeight } = window;
+        const left = Math.max(4, Math.min(x, innerWidth - element.offsetWidth - 4));
+        let top = y + 16;
+        if (top + element.offsetHeight > innerHeight) {
+            top = Math.max(4, y - element.offsetHeight - 16);
+        }
+        element.style.left = `${left}px`;
+        element.style.top = `${top}px`;
+        return true;
+    }
+
+    hide() {
+        this.clearTimeout();
+        this.removeElement();
+        this.target = null;
+    }
+
+    removeElement() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    destroy() {
+        this.hide();
+        const container = this.editor.container;
+        this.editor.off('mousemove', this.handleMouseMove);
+        this.editor.off('mousewheel', this.hide);
+        this.editor.off('change', this.hide);
+        container.removeEventListener('mouseleave', this.hide);
+        container.removeEventListener('touchstart', this.handleTouchStart);
+        container.removeEventListener('touchmove', this.handleTouchMove);
+        container.removeEventListener('touchend', this.handleTouchEnd);
+        container.removeEventListener('touchcancel', this.handleTouchEnd);
+        this.editor = null;
+    }
+}
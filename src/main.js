@@ -1,57 +1,256 @@
 import plugin from "../plugin.json";
-import TailwindFoldHandler from "./ace-tailwind-fold.js";
+import TailwindFoldHandler, { DEFAULT_KEYBINDINGS } from "./ace-tailwind-fold.js";
+import FoldStateStore from "./fold-state-store.js";
+import ClassInspector from "./class-inspector.js";
+import { validateModeDefinitions } from "./mode-definitions.js";
 const appSettings = acode.require("settings");
+const sidebarApps = acode.require("sidebarApps");
+
+const INSPECTOR_ID = "tailwind-fold-inspector";
+
+const defaultSettings = {
+    isDisable: false,
+    minClasses: 3,
+    minLength: 0,
+    overflowOnly: false,
+    multiLineOnly: false,
+    foldWhen: "all",
+    placeholder: "•••",
+    autoFold: true,
+    attributes: [],
+    functions: [],
+    tooltip: true,
+    sortOnSave: false,
+    checkDuplicates: true,
+    checkConflicts: true,
+    checkEmpty: true,
+    visibleClasses: 0,
+    visibleChars: 0,
+    visibleLayout: false,
+    disabledModes: ["css", "scss", "less", "sass", "stylus"],
+    excludedFiles: [],
+    modes: "{}",
+    keybindings: "{}",
+};
+
+/**
+ * Whether a file path matches a glob such as `**\/*.stories.tsx` or `vendor/**`.
+ * The project root isn't known, so a glob may match from any folder of the path.
+ * @param {string} path - File path or uri
+ * @param {string} glob - Glob with `*`, `**` and `?`
+ * @returns {boolean}
+ */
+function matchesGlob(path, glob) {
+    const pattern = glob
+        .replace(/^\/+/, "")
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*\*\/|\*\*|\*|\?/g, (token) => {
+            switch (token) {
+                case "**/":
+                    return "(?:.*/)?";
+                case "**":
+                    return ".*";
+                case "*":
+                    return "[^/]*";
+                default:
+                    return "[^/]";
+            }
+        });
+    return new RegExp(`(?:^|/)${pattern}$`).test(path);
+}
 
 class TailwindFold {
     constructor() {
-        // Initialize default settings if not present
-        if (!appSettings.value[plugin.id]) {
-            appSettings.value[plugin.id] = {
-                isDisable: false,
-                minClasses: 3,
-                placeholder: "•••",
-                autoFold: true,
-                attributes: [],
-                //modes: "{}",
-            };
+        // Initialize default settings if not present, and fill in ones added by updates
+        const stored = appSettings.value[plugin.id];
+        if (!stored || Object.keys(defaultSettings).some(key => !(key in stored))) {
+            appSettings.value[plugin.id] = { ...defaultSettings, ...stored };
             appSettings.update(false);
         }
-        this.handleFileSwitch = this.handleFileSwitch.bind(this);
+        this.stateStore = new FoldStateStore();
+        this.handleFileRemove = this.handleFileRemove.bind(this);
+        this.handleFileSave = this.handleFileSave.bind(this);
+        this.handleFileLoaded = this.handleFileLoaded.bind(this);
+        this.saveAllFoldStates = this.saveAllFoldStates.bind(this);
+        this.handleAppPause = this.handleAppPause.bind(this);
+        this.updateFileExclusion = this.updateFileExclusion.bind(this);
+        this.handleCommandExec = this.handleCommandExec.bind(this);
     }
 
     async init() {
         try {
+            await this.stateStore.load();
+            await this.stateStore.prune()
+                .catch(error => console.error('TailwindFold: could not prune fold state', error));
             if (this.settings.isDisable) return;
             this.initialiseFold();
-            editorManager.on("switch-file", this.handleFileSwitch);
         } catch (error) {
             console.error('TailwindFold init error:', error);
         }
     }
+
+    saveFoldState(file) {
+        // A file still loading has no folds yet, which would wipe its saved state
+        if (this.tailwindFold && file && file.session && file.loaded) {
+            this.stateStore.set(file.uri, this.tailwindFold.getFoldState(file.session));
+        }
+    }
+
+    saveAllFoldStates() {
+        editorManager.files.forEach(file => this.saveFoldState(file));
+    }
+
+    restoreFoldState(file) {
+        if (this.tailwindFold && file && file.session) {
+            this.tailwindFold.restoreFoldState(file.session, this.stateStore.get(file.uri));
+        }
+    }
+
+    isFileExcluded(file) {
+        let path = file.uri || file.filename || "";
+        try {
+            path = decodeURIComponent(path);
+        } catch (error) {
+            // Not encoded
+        }
+        return this.settings.excludedFiles.some(glob => matchesGlob(path, glob));
+    }
+
+    updateFileExclusion(file) {
+        if (this.tailwindFold && file && file.session) {
+            this.tailwindFold.excludeSession(file.session, this.isFileExcluded(file));
+        }
+    }
+
+    handleAppPause() {
+        // The app can be killed while in the background, so don't wait for the debounce
+        this.saveAllFoldStates();
+        this.stateStore.save();
+    }
+
+    handleFileLoaded(file) {
+        this.restoreFoldState(file);
+    }
     
-    handleFileSwitch() {
-        this.destroy();
-        setTimeout(() => this.initialiseFold(), 100); // Small delay for editor to settle
+    handleFileRemove(file) {
+        // The handler follows the editor across sessions, only closed files need cleanup
+        if (this.tailwindFold && file && file.session) {
+            this.saveFoldState(file);
+            this.tailwindFold.forgetSession(file.session);
+        }
+    }
+
+    async handleFileSave(file) {
+        this.saveFoldState(file);
+        // Saving again below fires this event too
+        if (!this.settings.sortOnSave || this.isSortingOnSave || !this.tailwindFold) return;
+        if (file && file !== editorManager.activeFile) return;
+        if (this.isFileExcluded(editorManager.activeFile)) return;
+
+        // Acode has no event before writing, so sorted values take a second save
+        if (this.tailwindFold.sortAllClasses() > 0) {
+            this.isSortingOnSave = true;
+            try {
+                await editorManager.activeFile.save();
+            } finally {
+                this.isSortingOnSave = false;
+            }
+        }
     }
 
     initialiseFold() {
         this.tailwindFold = new TailwindFoldHandler(editorManager.editor, {
             minClasses: this.settings.minClasses,
+            minLength: this.settings.minLength,
+            overflowOnly: this.settings.overflowOnly,
+            multiLineOnly: this.settings.multiLineOnly,
+            foldWhen: this.settings.foldWhen,
             placeholder: this.settings.placeholder,
             autoFold: this.settings.autoFold,
             attributes: this.settings.attributes,
-            //modes: Object.keys(JSON.parse(this.settings.modes)).length > 0 ? JSON.parse(this.settings.modes) : undefined
+            functions: this.settings.functions,
+            tooltip: this.settings.tooltip,
+            disabledModes: this.settings.disabledModes,
+            modes: this.customModes,
+            diagnostics: this.diagnostics,
+            visibleClasses: this.settings.visibleClasses,
+            visibleChars: this.settings.visibleChars,
+            visibleLayout: this.settings.visibleLayout,
+            keybindings: this.keybindings,
+        });
+        editorManager.files.forEach(file => {
+            this.updateFileExclusion(file);
+            this.restoreFoldState(file);
         });
+        editorManager.on("new-file", this.updateFileExclusion);
+        editorManager.on("rename-file", this.updateFileExclusion);
+        editorManager.on("remove-file", this.handleFileRemove);
+        editorManager.on("save-file", this.handleFileSave);
+        editorManager.on("file-loaded", this.handleFileLoaded);
+        editorManager.on("switch-file", this.saveAllFoldStates);
+        document.addEventListener("pause", this.handleAppPause);
+        editorManager.editor.commands.on("afterExec", this.handleCommandExec);
+        this.addInspector();
+    }
+
+    /**
+     * Adds the class inspector to the sidebar, listing the class attributes of the current file
+     */
+    addInspector() {
+        // Sidebar apps came with later Acode versions
+        if (!sidebarApps) return;
+
+        acode.addIcon(INSPECTOR_ID, `${this.baseUrl}icon.png`);
+        sidebarApps.add(
+            INSPECTOR_ID,
+            INSPECTOR_ID,
+            "Tailwind Classes",
+            (container) => {
+                this.inspector = new ClassInspector(this.tailwindFold, container);
+            },
+            false,
+            () => {
+                if (this.inspector) this.inspector.render();
+            },
+        );
+    }
+
+    removeInspector() {
+        if (!sidebarApps) return;
+
+        if (this.inspector) {
+            this.inspector.destroy();
+            this.inspector = null;
+        }
+        sidebarApps.remove(INSPECTOR_ID);
+    }
+
+    handleCommandExec({ command }) {
+        // Keep the setting in sync when auto-fold is toggled from the command palette or a key binding
+        if (command.name === "toggleAutoFold" && this.tailwindFold) {
+            this.settings.autoFold = this.tailwindFold.options.autoFold;
+            appSettings.update(false);
+        }
     }
 
     async destroy() {
-        editorManager.off("switch-file", this.handleFileSwitch);
+        editorManager.off("new-file", this.updateFileExclusion);
+        editorManager.off("rename-file", this.updateFileExclusion);
+        editorManager.off("remove-file", this.handleFileRemove);
+        editorManager.off("save-file", this.handleFileSave);
+        editorManager.off("file-loaded", this.handleFileLoaded);
+        editorManager.off("switch-file", this.saveAllFoldStates);
+        document.removeEventListener("pause", this.handleAppPause);
+        editorManager.editor.commands.off("afterExec", this.handleCommandExec);
         
         // Clean up TailwindFoldHandler
         if (this.tailwindFold) {
+            this.removeInspector();
+            this.saveAllFoldStates();
             this.tailwindFold.destroy();
             this.tailwindFold = null;
         }
+        await this.stateStore.save();
     }
 
     get settingsObj() {
@@ -69,6 +268,36 @@ class TailwindFold {
                     checkbox: !!this.settings.autoFold,
                     info: `Automatically fold classes on cursor movement or editor changes`,
                 },
+                {
+                    key: "tooltip",
+                    text: "Folded classes tooltip",
+                    checkbox: !!this.settings.tooltip,
+                    info: "Hover or long-press a folded attribute to list its classes grouped by variant",
+                },
+                {
+                    key: "sortOnSave",
+                    text: "Sort classes on save",
+                    checkbox: !!this.settings.sortOnSave,
+                    info: "Sort Tailwind classes in the recommended order when the file is saved. The file is saved as usual first, then saved again with the sorted classes. Excluded files are never sorted",
+                },
+                {
+                    key: "checkDuplicates",
+                    text: "Flag duplicate classes",
+                    checkbox: !!this.settings.checkDuplicates,
+                    info: "Warn about classes listed twice in the same attribute",
+                },
+                {
+                    key: "checkConflicts",
+                    text: "Flag conflicting classes",
+                    checkbox: !!this.settings.checkConflicts,
+                    info: "Warn about classes overridden by a later one with the same variants, e.g. \"p-2 p-4\". Run \"removeOverriddenClasses\" to remove them",
+                },
+                {
+                    key: "checkEmpty",
+                    text: "Flag empty class attributes",
+                    checkbox: !!this.settings.checkEmpty,
+                    info: "Point out class attributes without any class",
+                },
                 {
                     key: "minClasses",
                     text: "Minimum classes",
@@ -78,13 +307,78 @@ class TailwindFold {
                     promptType: "number",
                     promptOptions: {
                         required: true,
-                        test: (value) => value >= 2 && value <= 9,
+                        test: (value) => value >= 1 && value <= 99,
+                    },
+                },
+                {
+                    key: "minLength",
+                    text: "Minimum length",
+                    value: this.settings.minLength,
+                    info: "Minimum number of characters of the value for folding. 0 for no limit",
+                    prompt: "Minimum length",
+                    promptType: "number",
+                    promptOptions: {
+                        required: true,
+                        test: (value) => value >= 0,
                     },
                 },
+                {
+                    key: "overflowOnly",
+                    text: "Fold only overflowing lines",
+                    checkbox: !!this.settings.overflowOnly,
+                    info: "Fold only values whose line is wider than the editor",
+                },
+                {
+                    key: "multiLineOnly",
+                    text: "Fold only multi-line values",
+                    checkbox: !!this.settings.multiLineOnly,
+                    info: "Fold only values spanning several lines",
+                },
+                {
+                    key: "foldWhen",
+                    text: "Fold when",
+                    value: this.settings.foldWhen,
+                    info: "Whether a value must meet all of the thresholds above (classes, length, overflow, multi-line) or any of them",
+                    select: [
+                        ["all", "All thresholds are met"],
+                        ["any", "Any threshold is met"],
+                    ],
+                },
+                {
+                    key: "visibleClasses",
+                    text: "Visible classes",
+                    value: this.settings.visibleClasses,
+                    info: "Classes left visible in front of the fold, e.g. 3 shows class=\"flex items-center gap-2 •••\". 0 folds the whole value",
+                    prompt: "Visible classes",
+                    promptType: "number",
+                    promptOptions: {
+                        required: true,
+                        test: (value) => value >= 0 && value <= 9,
+                    },
+                },
+                {
+                    key: "visibleChars",
+                    text: "Visible characters",
+                    value: this.settings.visibleChars,
+                    info: "Most characters left visible in front of the fold (whole classes only). 0 for no limit",
+                    prompt: "Visible characters",
+                    promptType: "number",
+                    promptOptions: {
+                        required: true,
+                        test: (value) => value >= 0,
+                    },
+                },
+                {
+                    key: "visibleLayout",
+                    text: "Keep layout classes visible",
+                    checkbox: !!this.settings.visibleLayout,
+                    info: "Count only layout classes (display, position, flex, grid) towards the visible classes",
+                },
                 {
                     key: "placeholder",
                     text: "Placeholder",
                     value: this.settings.placeholder,
+                    info: "Text shown for folded classes. Use {count}, {first}, {first:N}, {last} and {rest}, e.g. \"{first:2} +{rest}\"",
                     prompt: "Placeholder",
                     promptType: "text",
                     promptOptions: {
@@ -109,25 +403,82 @@ class TailwindFold {
                         },
                     },
                 },
-                /*{
+                {
+                    key: "functions",
+                    text: "Class Functions",
+                    value: this.settings.functions.map(item => `"${item}"`).join(","),
+                    info: "Extra class utility functions (besides clsx, cn, cva, tv, twMerge...) whose string arguments are folded",
+                    prompt: "Functions",
+                    promptType: "text",
+                    promptOptions: {
+                        test: (value) => {
+                            if (value.length === 0) {
+                                return true;
+                            } else {
+                                const regex = /^"(?:[\w$.]+)"(?:,"(?:[\w$.]+)")*$/;
+                                return regex.test(value);
+                            }
+                        },
+                    },
+                },
+                {
+                    key: "disabledModes",
+                    text: "Disabled Modes",
+                    value: this.settings.disabledModes.map(item => `"${item}"`).join(","),
+                    info: "Modes where nothing is folded, e.g. \"css\",\"markdown\"",
+                    prompt: "Disabled modes",
+                    promptType: "text",
+                    promptOptions: {
+                        test: (value) => {
+                            if (value.length === 0) {
+                                return true;
+                            } else {
+                                const regex = /^"(?:[\w/-]+)"(?:,"(?:[\w/-]+)")*$/;
+                                return regex.test(value);
+                            }
+                        },
+                    },
+                },
+                {
+                    key: "excludedFiles",
+                    text: "Excluded Files",
+                    value: this.settings.excludedFiles.map(item => `"${item}"`).join(","),
+                    info: "Globs of files where nothing is folded, e.g. \"**/*.stories.tsx\",\"vendor/**\"",
+                    prompt: "Excluded files",
+                    promptType: "text",
+                    promptOptions: {
+                        test: (value) => {
+                            if (value.length === 0) {
+                                return true;
+                            } else {
+                                const regex = /^"(?:[^",]+)"(?:,"(?:[^",]+)")*$/;
+                                return regex.test(value);
+                            }
+                        },
+                    },
+                },
+                {
                     key: "modes",
                     text: "Modes",
                     value: this.settings.modes,
                     prompt: "Modes",
                     promptType: "textarea",
-                    info: "Custom mode configuration, check README for more info",
+                    info: "Custom mode definitions as JSON, check README for more info",
                     promptOptions: {
                         required: true,
-                        test: (value) => {
-                            try {
-                                const parsed = JSON.parse(value);
-                                return typeof parsed === "object" && parsed !== null;
-                            } catch (e) {
-                                return false;
-                            }
-                        },
                     },
-                },*/
+                },
+                {
+                    key: "keybindings",
+                    text: "Key bindings",
+                    value: this.settings.keybindings,
+                    prompt: "Key bindings",
+                    promptType: "textarea",
+                    info: "Key bindings of the commands as JSON, e.g. {\"toggleTailwindFold\": \"Ctrl-Alt-T\", \"foldAllClasses\": \"Ctrl-Alt-F\"}. Use null to remove one, check README for the commands",
+                    promptOptions: {
+                        required: true,
+                    },
+                },
             ],
             cb: (key, value) => {
                 switch (key) {
@@ -141,11 +492,37 @@ class TailwindFold {
                     case "autoFold":
                         if (this.tailwindFold) this.tailwindFold.setOptions({ autoFold: value });
                         break;
+                    case "tooltip":
+                        if (this.tailwindFold) this.tailwindFold.setOptions({ tooltip: value });
+                        break;
                     case "minClasses":
-                        if (this.tailwindFold) this.tailwindFold.options.setOptions({ minClasses: value });
+                        if (this.tailwindFold) this.tailwindFold.setOptions({ minClasses: value });
+                        break;
+                    case "minLength":
+                        value = Number(value);
+                        if (this.tailwindFold) this.tailwindFold.setOptions({ minLength: value });
+                        break;
+                    case "overflowOnly":
+                    case "multiLineOnly":
+                    case "foldWhen":
+                        if (this.tailwindFold) this.tailwindFold.setOptions({ [key]: value });
+                        break;
+                    case "checkDuplicates":
+                    case "checkConflicts":
+                    case "checkEmpty":
+                        this.settings[key] = value;
+                        if (this.tailwindFold) this.tailwindFold.setOptions({ diagnostics: this.diagnostics });
                         break;
                     case "placeholder":
-                        if (this.tailwindFold) this.tailwindFold.options.setOptions({ placeholder: value });
+                        if (this.tailwindFold) this.tailwindFold.setOptions({ placeholder: value });
+                        break;
+                    case "visibleClasses":
+                    case "visibleChars":
+                        value = Number(value);
+                        if (this.tailwindFold) this.tailwindFold.setOptions({ [key]: value });
+                        break;
+                    case "visibleLayout":
+                        if (this.tailwindFold) this.tailwindFold.setOptions({ visibleLayout: value });
                         break;
                     case "attributes":
                         if (this.tailwindFold) {
@@ -153,9 +530,38 @@ class TailwindFold {
                             this.tailwindFold.setOptions({ attributes: value });
                         }
                         break;
-                    /*case "modes":
+                    case "functions":
+                        value = value ? value.split(',').map(item => item.trim().replace(/^"|"$/g, '')) : [];
+                        if (this.tailwindFold) this.tailwindFold.setOptions({ functions: value });
+                        break;
+                    case "disabledModes":
+                        value = value ? value.split(',').map(item => item.trim().replace(/^"|"$/g, '')) : [];
+                        if (this.tailwindFold) this.tailwindFold.setOptions({ disabledModes: value });
+                        break;
+                    case "excludedFiles":
+                        value = value ? value.split(',').map(item => item.trim().replace(/^"|"$/g, '')) : [];
+                        this.settings[key] = value;
+                        editorManager.files.forEach(this.updateFileExclusion);
+                        break;
+                    case "modes": {
+                        // Validated here rather than in the prompt so the reason can be shown
+                        const errors = this.getModeErrors(value);
+                        if (errors.length) {
+                            acode.alert("Tailwind Fold", `Modes were not saved:\n${errors.join("\n")}`);
+                            return;
+                        }
                         if (this.tailwindFold) this.tailwindFold.setOptions({ modes: JSON.parse(value) });
-                        break;*/
+                        break;
+                    }
+                    case "keybindings": {
+                        const errors = this.getKeybindingErrors(value);
+                        if (errors.length) {
+                            acode.alert("Tailwind Fold", `Key bindings were not saved:\n${errors.join("\n")}`);
+                            return;
+                        }
+                        if (this.tailwindFold) this.tailwindFold.setOptions({ keybindings: JSON.parse(value) });
+                        break;
+                    }
                 }
                 this.settings[key] = value;
                 appSettings.update();
@@ -163,6 +569,61 @@ class TailwindFold {
         };
     }
 
+    /**
+     * Lists what is wrong with a modes setting value
+     * @param {string} value - JSON mode definitions
+     * @returns {string[]} Error messages, empty when valid
+     */
+    getModeErrors(value) {
+        try {
+            return validateModeDefinitions(JSON.parse(value));
+        } catch (error) {
+            return [`Invalid JSON: ${error.message}`];
+        }
+    }
+
+    /**
+     * Lists what is wrong with a key bindings setting value
+     * @param {string} value - JSON object of key bindings by command name
+     * @returns {string[]} Error messages, empty when valid
+     */
+    getKeybindingErrors(value) {
+        let keybindings;
+        try {
+            keybindings = JSON.parse(value);
+        } catch (error) {
+            return [`Invalid JSON: ${error.message}`];
+        }
+        if (!keybindings || typeof keybindings !== "object" || Array.isArray(keybindings)) {
+            return ["Key bindings must be an object of command names and keys"];
+        }
+
+        const isKey = key => typeof key === "string";
+        return Object.entries(keybindings).flatMap(([name, binding]) => {
+            if (!(name in DEFAULT_KEYBINDINGS)) return [`Unknown command "${name}"`];
+            if (binding === null || isKey(binding)) return [];
+            if (typeof binding === "object" && Object.values(binding).every(isKey)) return [];
+            return [`"${name}" needs a key such as "Ctrl-Alt-T", { "win": ..., "mac": ... } or null`];
+        });
+    }
+
+    get keybindings() {
+        return this.getKeybindingErrors(this.settings.keybindings).length ? {} : JSON.parse(this.settings.keybindings);
+    }
+
+    get customModes() {
+        // Settings saved by older versions may not be valid definitions
+        return this.getModeErrors(this.settings.modes).length ? {} : JSON.parse(this.settings.modes);
+    }
+
+    get diagnostics() {
+        return {
+            duplicates: !!this.settings.checkDuplicates,
+            conflicts: !!this.settings.checkConflicts,
+            empty: !!this.settings.checkEmpty,
+        };
+    }
+
     get settings() {
         return appSettings.value[plugin.id];
     }
@@ -0,0 +1,139 @@
+/**
+ * Mode definitions that can be stored as JSON, e.g. in the plugin settings
+ *
+ * @example
+ * {
+ *   "ace/mode/custom": {
+ *     "attributes": ["class", "data-tw"],     // Attribute names, matched as written
+ *     "patterns": ["\\{%\\s*class\\s*%\\}"],   // Regular expressions matching attribute names
+ *     "quotes": "\"'`",                       // Characters that may open the value
+ *     "extend": true,                         // Add to the built-in entry instead of replacing it
+ *     "tokens": false,
+ *     "functions": false,
+ *     "visibleClasses": 2                     // Classes left visible in front of the fold
+ *   }
+ * }
+ */
+
+const DEFAULT_QUOTES = '"\'';
+const DEFINITION_KEYS = [
+    'attributes', 'patterns', 'pattern', 'quotes', 'extend', 'tokens', 'functions', 'visibleClasses', 'visibleChars'
+];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+
+/**
+ * Turns `html` into `ace/mode/html`, leaving full mode ids alone
+ * @param {string} mode - Mode name or id
+ * @returns {string} Mode id
+ */
+export function toModeId(mode) {
+    return mode.includes('/') ? mode : `ace/mode/${mode}`;
+}
+
+/**
+ * Whether a mode config is a serializable definition rather than one with a
+ * compiled `pattern`
+ * @param {Object} mode - Mode config
+ * @returns {boolean}
+ */
+export function isModeDefinition(mode) {
+    return !!mode && typeof mode === 'object' && !(mode.pattern instanceof RegExp);
+}
+
+/**
+ * Compiles a mode definition into the `{ pattern, tokens, functions, visibleClasses, visibleChars }` config
+ * the fold handler uses
+ * @param {string} id - Mode id, used in error messages
+ * @param {Object} definition - Serializable mode definition
+ * @param {Object} [base] - Built-in config the definition extends when `extend` is set
+ * @returns {Object} Mode config
+ * @throws {Error} When the definition is malformed or a pattern fails to compile
+ */
+export function compileModeDefinition(id, definition, base) {
+    const fail = message => {
+        throw new Error(`Mode "${id}": ${message}`);
+    };
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        fail('definition must be an object');
+    }
+    const unknown = Object.keys(definition).find(key => !DEFINITION_KEYS.includes(key));
+    if (unknown) fail(`unknown key "${unknown}"`);
+
+    const { attributes = [], patterns = [], pattern, quotes = DEFAULT_QUOTES, extend = false } = definition;
+    const isStringList = list => Array.isArray(list) && list.every(item => typeof item === 'string' && item);
+    if (!isStringList(attributes)) fail('"attributes" must be a list of attribute names');
+    if (!isStringList(patterns)) fail('"patterns" must be a list of regular expressions');
+    if (pattern !== undefined && (typeof pattern !== 'string' || !pattern)) fail('"pattern" must be a regular expression');
+    if (typeof quotes !== 'string' || !quotes) fail('"quotes" must be a string of quote characters');
+
+    ['tokens', 'functions'].forEach(key => {
+        if (definition[key] !== undefined && typeof definition[key] !== 'boolean') fail(`"${key}" must be true or false`);
+    });
+    ['visibleClasses', 'visibleChars'].forEach(key => {
+        const value = definition[key];
+        if (value !== undefined && !(Number.isInteger(value) && value >= 0)) fail(`"${key}" must be a whole number`);
+    });
+
+    [...patterns, ...(pattern ? [pattern] : [])].forEach(source => {
+        try {
+            new RegExp(source);
+        } catch (error) {
+            fail(`pattern "${source}" failed to compile: ${error.message}`);
+        }
+    });
+
+    const sources = [];
+    const names = [...attributes.map(escapeRegExp), ...patterns];
+    if (names.length) {
+        const quoteClass = `[${quotes.split('').map(escapeRegExp).join('')}]`;
+        sources.push(names.map(name => `(?:${name})\\s*=\\s*${quoteClass}`).join('|'));
+    }
+    if (pattern) sources.push(pattern);
+    if (extend && base) sources.unshift(base.pattern.source);
+    if (!sources.length) fail('needs "attributes", "patterns" or "pattern"');
+
+    let compiled;
+    try {
+        compiled = new RegExp(sources.join('|'));
+    } catch (error) {
+        fail(`pattern failed to compile: ${error.message}`);
+    }
+
+    const mode = extend && base ? { ...base } : {};
+    mode.pattern = compiled;
+    if (definition.tokens !== undefined) mode.tokens = definition.tokens;
+    if (definition.functions !== undefined) mode.functions = definition.functions;
+    if (definition.visibleClasses !== undefined) mode.visibleClasses = definition.visibleClasses;
+    if (definition.visibleChars !== undefined) mode.visibleChars = definition.visibleChars;
+    return mode;
+}
+
+/**
+ * Checks a set of mode definitions without needing the built-in entries
+ * @param {Object} definitions - Mode name (`html`) or id (`ace/mode/html`) -> definition
+ * @returns {string[]} One message per invalid mode, empty when all are valid
+ */
+export function validateModeDefinitions(definitions) {
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+        return ['Modes must be an object of mode id -> definition'];
+    }
+
+    const errors = [];
+    const names = {};
+    Object.entries(definitions).forEach(([id, definition]) => {
+        const modeId = id === 'default' ? id : toModeId(id);
+        if (names[modeId]) {
+            errors.push(`Mode "${id}": same mode as "${names[modeId]}"`);
+            return;
+        }
+        names[modeId] = id;
+        try {
+            compileModeDefinition(id, definition, { pattern: /$^/ });
+        } catch (error) {
+            errors.push(error.message);
+        }
+    });
+    return errors;
+}
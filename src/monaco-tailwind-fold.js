@@ -0,0 +1,243 @@
+/**
+ * Tailwind class folding for Monaco
+ *
+ * @example
+ * import * as monaco from 'monaco-editor';
+ * import MonacoTailwindFold from './monaco-tailwind-fold.js';
+ *
+ * const editor = monaco.editor.create(element, { language: 'html' });
+ * const foldHandler = new MonacoTailwindFold(editor, { minClasses: 4 });
+ */
+
+import * as monaco from 'monaco-editor';
+import FoldEngine from './fold-engine.js';
+import { toModeId } from './class-scanner.js';
+
+// Monaco language ids whose closest Ace mode has another name
+const LANGUAGE_MODES = {
+    html: 'default',
+    javascript: 'ace/mode/jsx',
+    typescript: 'ace/mode/tsx'
+};
+
+// Token kinds Monaco derives from token names, see `StandardTokenType` in its sources
+const COMMENT_TOKEN = 1;
+const STRING_TOKEN = 2;
+
+const STYLE_ID = 'monaco-tailwind-fold-style';
+const STYLES = `
+.monaco-tailwind-fold-hidden {
+    display: none;
+}
+.monaco-tailwind-fold-placeholder {
+    opacity: 0.7;
+    border-radius: 3px;
+    background-color: rgba(127, 127, 127, 0.2);
+}
+`;
+
+export default class MonacoTailwindFold {
+    /**
+     * Creates a new MonacoTailwindFold instance. Monaco can't hide line breaks
+     * inline, so values spanning several lines are left unfolded.
+     * @param {Object} editor - Monaco code editor
+     * @param {Object} [options] - Same as the Ace handler's `minClasses`, `minLength`, `overflowOnly`,
+     *   `multiLineOnly`, `foldWhen`, `placeholder`, `autoFold`,
+     *   `attributes`, `functions`, `disabledModes` and `modes`
+     */
+    constructor(editor, options = {}) {
+        this.editor = editor;
+        this.engine = new FoldEngine(options);
+        this.decorationIds = [];
+        this.scanTimeout = null;
+        this.pendingChange = null; // Rows edited since the last scan
+        this.visibleColumns = 0;
+
+        if (!document.getElementById(STYLE_ID)) {
+            const style = document.createElement('style');
+            style.id = STYLE_ID;
+            style.textContent = STYLES;
+            document.head.appendChild(style);
+        }
+
+        this.disposables = [
+            editor.onDidChangeModelContent(event => this.handleContentChange(event)),
+            editor.onDidChangeModel(() => this.scan()),
+            editor.onDidChangeModelLanguage(() => this.scan()),
+            editor.onDidLayoutChange(() => {
+                if (this.engine.options.overflowOnly && this.getVisibleColumns() !== this.visibleColumns) {
+                    this.scan();
+                }
+            }),
+            // Fold positions are stale until a pending scan runs, which updates them anyway
+            editor.onDidChangeCursorSelection(() => {
+                if (!this.scanTimeout) this.updateDecorations();
+            }),
+            editor.addAction({
+                id: 'toggleTailwindFold',
+                label: 'Toggle Tailwind Fold',
+                keybindings: [monaco.KeyMod.Alt | monaco.KeyCode.KeyT],
+                run: () => this.toggleAllFolds()
+            })
+        ];
+
+        this.scan();
+    }
+
+    /**
+     * Maps the model's language to the Ace mode id the patterns are keyed by
+     * @private
+     * @param {Object} model - Monaco text model
+     * @returns {string}
+     */
+    getModeId(model) {
+        const languageId = model.getLanguageId();
+        return LANGUAGE_MODES[languageId] || toModeId(languageId);
+    }
+
+    /**
+     * Rejects matches inside comments and strings using the model's own
+     * tokens, which Monaco keeps up to date as the model changes
+     * @private
+     * @param {Object} model - Monaco text model
+     * @returns {Object} Filter for the scanner
+     */
+    createFilter(model) {
+        // Not in Monaco's typings, but on every text model since 0.34
+        const { tokenization } = model;
+        const getTokenKind = (row, column) => {
+            tokenization.forceTokenization(row + 1);
+            const tokens = tokenization.getLineTokens(row + 1);
+            return tokens.getStandardTokenType(tokens.findTokenIndexAtOffset(column));
+        };
+        const isMatch = (row, startCol) => {
+            const kind = getTokenKind(row, startCol);
+            return kind !== COMMENT_TOKEN && kind !== STRING_TOKEN;
+        };
+
+        return { isAttributeMatch: isMatch, isCodeMatch: isMatch };
+    }
+
+    /**
+     * Number of characters fitting in the editor's width, for `overflowOnly`
+     * @private
+     * @returns {number}
+     */
+    getVisibleColumns() {
+        const { contentWidth } = this.editor.getLayoutInfo();
+        const { typicalHalfwidthCharacterWidth } = this.editor.getOption(monaco.editor.EditorOption.fontInfo);
+        return typicalHalfwidthCharacterWidth ? Math.floor(contentWidth / typicalHalfwidthCharacterWidth) : 0;
+    }
+
+    /**
+     * Remembers the rows an edit touched so the next scan only covers them
+     * @private
+     * @param {Object} event - Monaco model content change event
+     */
+    handleContentChange({ changes }) {
+        // Bottom to top, so the rows of each change are still valid when it is merged
+        [...changes]
+            .sort((a, b) => b.range.startLineNumber - a.range.startLineNumber)
+            .forEach(({ range, text }) => {
+                const startRow = range.startLineNumber - 1;
+                this.pendingChange = FoldEngine.mergeChanges(this.pendingChange, {
+                    startRow,
+                    oldEndRow: range.endLineNumber - 1,
+                    endRow: startRow + text.split(/\r\n|\r|\n/).length - 1
+                });
+            });
+        this.scheduleScan();
+    }
+
+    scheduleScan() {
+        if (this.scanTimeout) clearTimeout(this.scanTimeout);
+        this.scanTimeout = setTimeout(() => {
+            this.scanTimeout = null;
+            this.scan(this.pendingChange);
+        }, 10);
+    }
+
+    /**
+     * Finds the folds of the model and shows them
+     * @param {Object} [change] - Rows edited since the last scan, see `FoldEngine#rescan`.
+     *   Every row is scanned without it.
+     */
+    scan(change) {
+        const model = this.editor.getModel();
+        this.pendingChange = null;
+        if (!model) {
+            this.engine.folds = [];
+        } else {
+            const lines = {
+                getLine: row => model.getLineContent(row + 1),
+                getLength: () => model.getLineCount()
+            };
+            const modeId = this.getModeId(model);
+            const filter = this.createFilter(model);
+            this.visibleColumns = this.getVisibleColumns();
+            if (change) {
+                this.engine.rescan(lines, modeId, change, filter, this.visibleColumns);
+            } else {
+                this.engine.scan(lines, modeId, filter, this.visibleColumns);
+            }
+        }
+        this.updateDecorations();
+    }
+
+    updateDecorations() {
+        const selections = (this.editor.getSelections() || []).map(selection => ({
+            start: { row: selection.startLineNumber - 1, column: selection.startColumn - 1 },
+            end: { row: selection.endLineNumber - 1, column: selection.endColumn - 1 }
+        }));
+
+        const decorations = this.engine.getCollapsedFolds(selections)
+            .filter(fold => fold.start.row === fold.end.row && fold.end.column > fold.start.column)
+            .map(fold => ({
+                range: new monaco.Range(
+                    fold.start.row + 1,
+                    fold.start.column + 1,
+                    fold.end.row + 1,
+                    fold.end.column + 1
+                ),
+                options: {
+                    inlineClassName: 'monaco-tailwind-fold-hidden',
+                    before: {
+                        content: fold.placeholder,
+                        inlineClassName: 'monaco-tailwind-fold-placeholder'
+                    },
+                    hoverMessage: { value: `\`${fold.classes.join(' ')}\`` },
+                    stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+                }
+            }));
+
+        this.decorationIds = this.editor.deltaDecorations(this.decorationIds, decorations);
+    }
+
+    toggleAllFolds() {
+        this.engine.toggle();
+        this.updateDecorations();
+    }
+
+    /**
+    * Sets new configuration options and updates the behavior accordingly.
+    * @param {Object} newOptions - New configuration options
+    */
+    setOptions(newOptions = {}) {
+        this.engine.setOptions(newOptions);
+        this.scan();
+    }
+
+    /**
+    * Cleans up all resources, removes event listeners and decorations.
+    */
+    destroy() {
+        if (this.scanTimeout) {
+            clearTimeout(this.scanTimeout);
+            this.scanTimeout = null;
+        }
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+        this.decorationIds = this.editor.deltaDecorations(this.decorationIds, []);
+        this.editor = null;
+    }
+}
@@ -0,0 +1,369 @@
+/**
+ * Helpers for reading Tailwind class names, shared by the fold handler features
+ */
+
+export const BREAKPOINTS = ['sm', 'md', 'lg', 'xl', '2xl'];
+
+// Order of variant groups, base classes first
+const CATEGORY_ORDER = ['base', 'responsive', 'state', 'dark', 'arbitrary'];
+// Tokens available in placeholder templates, e.g. `{first:2} +{rest}`
+const PLACEHOLDER_TOKEN = /\{(count|first|last|rest)(?::(\d+))?\}/g;
+// Display, position, flex and grid utilities, the ones telling what an element is
+const LAYOUT_UTILITY = /^(?:container|block|inline-block|inline|flex|inline-flex|grid|inline-grid|table|contents|flow-root|hidden|static|fixed|absolute|relative|sticky)$|^(?:flex|grid|items|justify|content|self|place|gap|col|row|order|basis|grow|shrink|inset|top|right|bottom|left|z|space)-/;
+
+/**
+ * Splits a class into its variants and utility. Colons inside arbitrary
+ * values are not treated as variant separators.
+ * @example
+ * splitVariants('md:hover:bg-[url(a:b)]');
+ * // { variants: ['md', 'hover'], utility: 'bg-[url(a:b)]' }
+ * @param {string} className - Class to split
+ * @returns {{variants: string[], utility: string}}
+ */
+export function splitVariants(className) {
+    const variants = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < className.length; i++) {
+        const char = className[i];
+        if (char === '[' || char === '(') {
+            depth++;
+        } else if (char === ']' || char === ')') {
+            depth = Math.max(0, depth - 1);
+        } else if (char === ':' && depth === 0) {
+            variants.push(className.slice(start, i));
+            start = i + 1;
+        }
+    }
+
+    return { variants, utility: className.slice(start) };
+}
+
+/**
+ * Tells which kind of variant a prefix is
+ * @param {string} [variant] - Variant without the trailing colon
+ * @returns {string} One of `base`, `responsive`, `state`, `dark` or `arbitrary`
+ */
+export function getVariantCategory(variant) {
+    if (!variant) return 'base';
+    if (variant.includes('[')) return 'arbitrary';
+    if (variant === 'dark') return 'dark';
+    if (BREAKPOINTS.includes(variant) || /^(?:max|min)-|^@/.test(variant)) return 'responsive';
+    return 'state';
+}
+
+/**
+ * Groups classes by their variant prefix, base classes first, then
+ * breakpoints in size order, state variants, `dark:` and arbitrary variants
+ * @param {string[]} classes - Classes to group
+ * @returns {{variant: string, category: string, classes: string[]}[]} Groups with the
+ *   prefix (e.g. `md:hover:`, empty for base classes) and the utilities without it
+ */
+export function groupClassesByVariant(classes) {
+    const groups = new Map();
+
+    classes.forEach(className => {
+        const { variants, utility } = splitVariants(className);
+        const variant = variants.length ? `${variants.join(':')}:` : '';
+
+        if (!groups.has(variant)) {
+            groups.set(variant, {
+                variant,
+                category: getVariantCategory(variants[0]),
+                // Custom breakpoints and ranges go after the default ones
+                breakpoint: BREAKPOINTS.includes(variants[0])
+                    ? BREAKPOINTS.indexOf(variants[0])
+                    : BREAKPOINTS.length,
+                classes: []
+            });
+        }
+        groups.get(variant).classes.push(utility);
+    });
+
+    return Array.from(groups.values())
+        .sort((a, b) => CATEGORY_ORDER.indexOf(a.category) - CATEGORY_ORDER.indexOf(b.category)
+            || a.breakpoint - b.breakpoint)
+        .map(({ variant, category, classes }) => ({ variant, category, classes }));
+}
+
+/**
+ * Whether a class sets the layout of an element (display, position, flex or grid)
+ * @param {string} className - Class, e.g. `md:flex`
+ * @returns {boolean}
+ */
+export function isLayoutClass(className) {
+    const { utility } = splitVariants(className);
+    return LAYOUT_UTILITY.test(utility.replace(/^!|!$/g, '').replace(/^-/, ''));
+}
+
+/**
+ * Finds where a partial fold starts, so the first classes of a value stay visible
+ * @example
+ * findFoldOffset('flex items-center gap-2 p-4', { visibleClasses: 2 }); // 18
+ * @param {string} text - Text of a plain class value
+ * @param {Object} [options]
+ * @param {number} [options.visibleClasses=0] - Classes to keep visible
+ * @param {number} [options.visibleChars=0] - Most characters to keep visible, whole classes only
+ * @param {boolean} [options.visibleLayout=false] - Count only layout classes towards
+ *   `visibleClasses`, so the visible part runs until that many of them are shown
+ * @returns {number} Offset of the first folded class, 0 to fold everything, or -1
+ *   when every class stays visible
+ */
+export function findFoldOffset(text, { visibleClasses = 0, visibleChars = 0, visibleLayout = false } = {}) {
+    if (!visibleClasses && !visibleChars) return 0;
+
+    const tokens = [...text.matchAll(/\S+/g)].map(match => ({
+        className: match[0],
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+    if (!tokens.length) return -1;
+
+    let kept = visibleClasses || tokens.length;
+    if (visibleClasses && visibleLayout) {
+        const layoutIndexes = tokens
+            .map((token, index) => (isLayoutClass(token.className) ? index : -1))
+            .filter(index => index !== -1);
+        // Without layout classes, fall back to the first classes
+        if (layoutIndexes.length) {
+            kept = layoutIndexes[Math.min(visibleClasses, layoutIndexes.length) - 1] + 1;
+        }
+    }
+    if (visibleChars) {
+        const fitting = tokens.filter(token => token.end - tokens[0].start <= visibleChars).length;
+        kept = Math.min(kept, fitting);
+    }
+
+    return kept >= tokens.length ? -1 : tokens[kept].start;
+}
+
+/**
+ * Builds the placeholder text for a fold from a placeholder template or callback
+ * @example
+ * renderPlaceholder('{first:2} +{rest}', ['flex', 'gap-2', 'p-4', 'm-2']); // 'flex gap-2 +2'
+ * @param {string|Function} placeholder - Template with the `{count}`, `{first}`, `{first:N}`,
+ *   `{last}`, `{last:N}` and `{rest}` tokens, or a `(classes) => string` callback
+ * @param {string[]} classes - Classes of the folded attribute
+ * @returns {string} Placeholder text
+ */
+export function renderPlaceholder(placeholder, classes) {
+    if (typeof placeholder === 'function') {
+        return String(placeholder(classes));
+    }
+
+    // `{rest}` counts whatever the `{first}` tokens didn't already show
+    let shown = 0;
+    for (const [, name, size] of placeholder.matchAll(PLACEHOLDER_TOKEN)) {
+        if (name === 'first') shown = Math.max(shown, Number(size || 1));
+    }
+    shown = Math.min(shown, classes.length);
+
+    return placeholder.replace(PLACEHOLDER_TOKEN, (token, name, size) => {
+        switch (name) {
+            case 'count':
+                return classes.length;
+            case 'first':
+                return classes.slice(0, Number(size || 1)).join(' ');
+            case 'last':
+                return classes.slice(-Number(size || 1)).join(' ');
+            case 'rest':
+                return classes.length - shown;
+        }
+        return token;
+    });
+}
+
+const COMPARISON = new Set(['===', '!==', '==', '!=']);
+const PUNCTUATION = /^(?:===|!==|==|!=|&&|\|\||\?\?|=>|[?:,+(){}[\]!<>=&|*/%-])/;
+
+/**
+ * Splits a JavaScript-like expression into strings, template literals,
+ * identifiers and punctuation. Comments are dropped.
+ * @param {string} text - Expression
+ * @returns {Object[]} Tokens with a `type` and `value`; template literals
+ *   carry their `quasis` (text parts) and `expressions`
+ */
+function tokenizeExpression(text) {
+    const tokens = [];
+    let i = 0;
+
+    const readTemplate = () => {
+        const quasis = [''];
+        const expressions = [];
+        i++;
+        while (i < text.length && text[i] !== '`') {
+            if (text[i] === '\\') {
+                quasis[quasis.length - 1] += text.slice(i, i + 2);
+                i += 2;
+            } else if (text[i] === '$' && text[i + 1] === '{') {
+                const start = i + 2;
+                let depth = 0;
+                i = start;
+                // Braces inside nested strings must not end the interpolation
+                while (i < text.length && !(text[i] === '}' && depth === 0)) {
+                    if (text[i] === '{') depth++;
+                    if (text[i] === '}') depth--;
+                    if (text[i] === '"' || text[i] === "'" || text[i] === '`') {
+                        const quote = text[i++];
+                        while (i < text.length && text[i] !== quote) i += text[i] === '\\' ? 2 : 1;
+                    }
+                    i++;
+                }
+                expressions.push(text.slice(start, i));
+                quasis.push('');
+                i++;
+            } else {
+                quasis[quasis.length - 1] += text[i++];
+            }
+        }
+        i++;
+        return { type: 'template', quasis, expressions };
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        const rest = text.slice(i);
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (rest.startsWith('//')) {
+            const end = text.indexOf('\n', i);
+            i = end === -1 ? text.length : end;
+        } else if (rest.startsWith('/*')) {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 2;
+        } else if (char === '"' || char === "'") {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== char) {
+                value += text[i] === '\\' ? text[++i] : text[i];
+                i++;
+            }
+            i++;
+            tokens.push({ type: 'string', value });
+        } else if (char === '`') {
+            tokens.push(readTemplate());
+        } else if (/[\w$.]/.test(char)) {
+            const [value] = /^[\w$.]+/.exec(rest);
+            tokens.push({ type: 'identifier', value });
+            i += value.length;
+        } else {
+            const match = PUNCTUATION.exec(rest);
+            const value = match ? match[0] : char;
+            tokens.push({ type: 'punctuation', value });
+            i += value.length;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Splits a string's text into classes, leaving out the first or last word
+ * when it is glued to a dynamic part (e.g. `'bg-' + color`)
+ * @param {string} value - String contents
+ * @param {boolean} gluedStart - Whether the start is joined to something dynamic
+ * @param {boolean} gluedEnd - Whether the end is joined to something dynamic
+ * @returns {string[]}
+ */
+function splitStaticClasses(value, gluedStart, gluedEnd) {
+    const words = value.split(/\s+/);
+    if (gluedStart && !/^\s/.test(value)) words[0] = '';
+    if (gluedEnd && !/\s$/.test(value)) words[words.length - 1] = '';
+    return words.filter(Boolean);
+}
+
+/**
+ * Collects the classes of a template literal, skipping words built around
+ * `${...}` and reading the strings inside the interpolations
+ * @param {Object} token - Template literal token
+ * @returns {string[]}
+ */
+function extractTemplateClasses({ quasis, expressions }, gluedStart = false, gluedEnd = false) {
+    const classes = [];
+    quasis.forEach((quasi, index) => {
+        classes.push(...splitStaticClasses(
+            quasi,
+            index > 0 || gluedStart,
+            index < quasis.length - 1 || gluedEnd
+        ));
+        if (index < expressions.length) {
+            classes.push(...extractExpressionClasses(expressions[index]));
+        }
+    });
+    return classes;
+}
+
+/**
+ * Collects the class names of a class binding expression such as
+ * `{ 'bg-red-500 text-white': isError, hidden: !open }` or
+ * `[base, active ? 'a b' : 'c']`. Object keys are classes and their values
+ * conditions; strings elsewhere are classes unless they are compared with
+ * something. Identifiers and operators are ignored.
+ * @param {string} text - Expression, without the quotes or braces around it
+ * @returns {string[]}
+ */
+export function extractExpressionClasses(text) {
+    const tokens = tokenizeExpression(text);
+    const classes = [];
+    // Objects track whether the next token is a key
+    const stack = [{ type: 'root' }];
+
+    tokens.forEach((token, index) => {
+        const context = stack[stack.length - 1];
+        const previous = tokens[index - 1];
+        const next = tokens[index + 1];
+        const isKey = context.type === 'object' && context.expectKey;
+
+        if (token.type === 'punctuation') {
+            switch (token.value) {
+                case '{':
+                    stack.push({ type: 'object', expectKey: true });
+                    break;
+                case '[':
+                    // A computed key stays a key
+                    stack.push({ type: 'array', isKey });
+                    break;
+                case '(':
+                    stack.push({ type: 'group' });
+                    break;
+                case '}':
+                case ']':
+                case ')':
+                    if (stack.length > 1) stack.pop();
+                    break;
+                case ',':
+                    if (context.type === 'object') context.expectKey = true;
+                    break;
+                case ':':
+                    if (isKey) context.expectKey = false;
+                    break;
+            }
+            return;
+        }
+
+        // Object values are conditions
+        const inCondition = stack.some(item => item.type === 'object' && !item.expectKey);
+        if (inCondition && !isKey) return;
+
+        if (token.type === 'identifier') {
+            // Bare keys, including shorthand ones such as `{ hidden }`, name a class
+            if (isKey && (!next || [':', ',', '}'].includes(next.value))) classes.push(token.value);
+            return;
+        }
+
+        const isCompared = [previous, next].some(other => other && COMPARISON.has(other.value));
+        if (isCompared) return;
+
+        const gluedStart = !!previous && previous.value === '+';
+        const gluedEnd = !!next && next.value === '+';
+        if (token.type === 'string') {
+            classes.push(...splitStaticClasses(token.value, gluedStart, gluedEnd));
+        } else {
+            classes.push(...extractTemplateClasses(token, gluedStart, gluedEnd));
+        }
+    });
+
+    return classes;
+}
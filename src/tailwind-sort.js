@@ -0,0 +1,441 @@
+/**
+ * Sorts Tailwind classes in the order recommended by Tailwind, the same
+ * order prettier-plugin-tailwindcss produces: classes Tailwind doesn't know
+ * first, then utilities from layout to effects, then variants.
+ *
+ * The tables follow the core plugin order of Tailwind v3. Theme values this
+ * module can't know about (custom colors, fonts...) fall back to the color or
+ * family utility of their prefix.
+ */
+
+import { BREAKPOINTS, splitVariants } from './tailwind-classes.js';
+
+const COLOR_KEYWORDS = 'inherit|current|transparent|black|white';
+const NUMBER = '(?:\\d+(?:\\.\\d+)?|px|\\[[^\\]]+\\])';
+
+/**
+ * Utility groups in Tailwind's order. Every entry is `[pattern]` or
+ * `[pattern, true]` for catch-alls that are only tried when no exact entry matched.
+ */
+const UTILITY_ORDER = [
+    [/^container$/],
+    [/^(?:sr-only|not-sr-only)$/],
+    [/^pointer-events-/],
+    [/^(?:visible|invisible|collapse)$/],
+    [/^(?:static|fixed|absolute|relative|sticky)$/],
+    [/^inset-(?![xy]-)/],
+    [/^inset-x-/],
+    [/^inset-y-/],
+    [/^start-/],
+    [/^end-/],
+    [/^top-/],
+    [/^right-/],
+    [/^bottom-/],
+    [/^left-/],
+    [/^(?:isolate|isolation-auto)$/],
+    [/^z-/],
+    [/^order-/],
+    [/^col-(?:auto|span-|\[)/],
+    [/^col-start-/],
+    [/^col-end-/],
+    [/^row-(?:auto|span-|\[)/],
+    [/^row-start-/],
+    [/^row-end-/],
+    [/^float-/],
+    [/^clear-/],
+    [/^m-/],
+    [/^mx-/],
+    [/^my-/],
+    [/^ms-/],
+    [/^me-/],
+    [/^mt-/],
+    [/^mr-/],
+    [/^mb-/],
+    [/^ml-/],
+    [/^box-(?:border|content)$/],
+    [/^line-clamp-/],
+    [/^(?:block|inline-block|inline|flex|inline-flex|table|inline-table|table-caption|table-cell|table-column|table-column-group|table-footer-group|table-header-group|table-row-group|table-row|flow-root|grid|inline-grid|contents|list-item|hidden)$/],
+    [/^aspect-/],
+    [/^size-/],
+    [/^h-/],
+    [/^max-h-/],
+    [/^min-h-/],
+    [/^w-/],
+    [/^min-w-/],
+    [/^max-w-/],
+    [/^flex-(?:1|auto|initial|none|\[.+\])$/],
+    [/^(?:flex-)?shrink(?:-|$)/],
+    [/^(?:flex-)?grow(?:-|$)/],
+    [/^basis-/],
+    [/^table-(?:auto|fixed)$/],
+    [/^caption-/],
+    [/^border-(?:collapse|separate)$/],
+    [/^border-spacing-/],
+    [/^origin-/],
+    [/^translate-[xy]-/],
+    [/^rotate-/],
+    [/^skew-[xy]-/],
+    [/^scale-/],
+    [/^transform(?:-cpu|-gpu|-none)?$/],
+    [/^animate-/],
+    [/^cursor-/],
+    [/^touch-/],
+    [/^select-/],
+    [/^resize(?:-|$)/],
+    [/^snap-(?:none|x|y|both|mandatory|proximity)$/],
+    [/^snap-(?:start|end|center|align-none)$/],
+    [/^snap-(?:normal|always)$/],
+    [/^scroll-m[xyserbtl]?-/],
+    [/^scroll-p[xyserbtl]?-/],
+    [/^list-(?:inside|outside)$/],
+    [/^list-(?!image-)/],
+    [/^list-image-/],
+    [/^appearance-/],
+    [/^columns-/],
+    [/^break-before-/],
+    [/^break-inside-/],
+    [/^break-after-/],
+    [/^auto-cols-/],
+    [/^grid-flow-/],
+    [/^auto-rows-/],
+    [/^grid-cols-/],
+    [/^grid-rows-/],
+    [/^flex-(?:row|row-reverse|col|col-reverse)$/],
+    [/^flex-(?:wrap|wrap-reverse|nowrap)$/],
+    [/^place-content-/],
+    [/^place-items-/],
+    [/^content-(?:normal|center|start|end|between|around|evenly|baseline|stretch)$/],
+    [/^items-/],
+    [/^justify-(?!items-|self-)/],
+    [/^justify-items-/],
+    [/^gap-(?![xy]-)/],
+    [/^gap-x-/],
+    [/^gap-y-/],
+    [/^space-x-/],
+    [/^space-y-/],
+    [new RegExp(`^divide-[xy](?:-${NUMBER}|-reverse)?$`)],
+    [/^divide-(?:solid|dashed|dotted|double|none)$/],
+    [/^divide-opacity-/],
+    [/^divide-/, true],
+    [/^place-self-/],
+    [/^self-/],
+    [/^justify-self-/],
+    [/^overflow-/],
+    [/^overscroll-/],
+    [/^scroll-(?:auto|smooth)$/],
+    [/^(?:truncate|text-ellipsis|text-clip)$/],
+    [/^hyphens-/],
+    [/^whitespace-/],
+    [/^text-(?:wrap|nowrap|balance|pretty)$/],
+    [/^break-(?:normal|words|all|keep)$/],
+    [/^rounded(?:-(?:none|sm|md|lg|xl|2xl|3xl|full|\[.+\]))?$/],
+    [/^rounded-s(?:-|$)/],
+    [/^rounded-e(?:-|$)/],
+    [/^rounded-t(?:-|$)/],
+    [/^rounded-r(?:-|$)/],
+    [/^rounded-b(?:-|$)/],
+    [/^rounded-l(?:-|$)/],
+    [/^rounded-(?:ss|se|ee|es)(?:-|$)/],
+    [/^rounded-(?:tl|tr|br|bl)(?:-|$)/],
+    [new RegExp(`^border(?:-${NUMBER})?$`)],
+    [new RegExp(`^border-x(?:-${NUMBER})?$`)],
+    [new RegExp(`^border-y(?:-${NUMBER})?$`)],
+    [new RegExp(`^border-s(?:-${NUMBER})?$`)],
+    [new RegExp(`^border-e(?:-${NUMBER})?$`)],
+    [new RegExp(`^border-t(?:-${NUMBER})?$`)],
+    [new RegExp(`^border-r(?:-${NUMBER})?$`)],
+    [new RegExp(`^border-b(?:-${NUMBER})?$`)],
+    [new RegExp(`^border-l(?:-${NUMBER})?$`)],
+    [/^border-(?:solid|dashed|dotted|double|hidden|none)$/],
+    [/^border-/, true],
+    [/^border-opacity-/],
+    [/^bg-/, true],
+    [/^bg-opacity-/],
+    [/^bg-(?:none|gradient-to-.+)$/],
+    [/^from-/],
+    [/^via-/],
+    [/^to-/],
+    [/^(?:box-)?decoration-(?:slice|clone)$/],
+    [/^bg-(?:auto|cover|contain)$/],
+    [/^bg-(?:fixed|local|scroll)$/],
+    [/^bg-clip-/],
+    [/^bg-(?:bottom|center|left|left-bottom|left-top|right|right-bottom|right-top|top)$/],
+    [/^bg-(?:repeat|no-repeat|repeat-x|repeat-y|repeat-round|repeat-space)$/],
+    [/^bg-origin-/],
+    [/^fill-/],
+    [new RegExp(`^stroke-${NUMBER}$`)],
+    [/^stroke-/, true],
+    [/^object-(?:contain|cover|fill|none|scale-down)$/],
+    [/^object-/, true],
+    [/^p-/],
+    [/^px-/],
+    [/^py-/],
+    [/^ps-/],
+    [/^pe-/],
+    [/^pt-/],
+    [/^pr-/],
+    [/^pb-/],
+    [/^pl-/],
+    [/^text-(?:left|center|right|justify|start|end)$/],
+    [/^indent-/],
+    [/^align-/],
+    [/^font-(?:sans|serif|mono)$/],
+    [/^text-(?:xs|sm|base|lg|\d?xl)(?:\/.+)?$/],
+    [/^font-(?:thin|extralight|light|normal|medium|semibold|bold|extrabold|black)$/],
+    [/^font-/, true],
+    [/^(?:uppercase|lowercase|capitalize|normal-case)$/],
+    [/^(?:italic|not-italic)$/],
+    [/^(?:normal-nums|ordinal|slashed-zero|lining-nums|oldstyle-nums|proportional-nums|tabular-nums|diagonal-fractions|stacked-fractions)$/],
+    [/^leading-/],
+    [/^tracking-/],
+    [/^text-/, true],
+    [/^text-opacity-/],
+    [/^(?:underline|overline|line-through|no-underline)$/],
+    [/^decoration-/, true],
+    [/^decoration-(?:solid|double|dotted|dashed|wavy)$/],
+    [new RegExp(`^decoration-(?:auto|from-font|${NUMBER})$`)],
+    [/^underline-offset-/],
+    [/^(?:antialiased|subpixel-antialiased)$/],
+    [/^placeholder-opacity-/],
+    [/^placeholder-(?!opacity-)/],
+    [/^caret-/],
+    [/^accent-/],
+    [/^opacity-/],
+    [/^bg-blend-/],
+    [/^mix-blend-/],
+    [/^shadow(?:-(?:sm|md|lg|xl|2xl|inner|none))?$/],
+    [/^shadow-/, true],
+    [/^outline(?:-none|-dashed|-dotted|-double)?$/],
+    [new RegExp(`^outline-${NUMBER}$`)],
+    [/^outline-offset-/],
+    [/^outline-/, true],
+    [new RegExp(`^ring(?:-${NUMBER}|-inset)?$`)],
+    [/^ring-(?!offset-|opacity-)/, true],
+    [/^ring-opacity-/],
+    [new RegExp(`^ring-offset-${NUMBER}$`)],
+    [/^ring-offset-/, true],
+    [/^blur(?:-|$)/],
+    [/^brightness-/],
+    [/^contrast-/],
+    [/^drop-shadow(?:-|$)/],
+    [/^grayscale(?:-|$)/],
+    [/^hue-rotate-/],
+    [/^invert(?:-|$)/],
+    [/^saturate-/],
+    [/^sepia(?:-|$)/],
+    [/^filter(?:-none)?$/],
+    [/^backdrop-blur(?:-|$)/],
+    [/^backdrop-brightness-/],
+    [/^backdrop-contrast-/],
+    [/^backdrop-grayscale(?:-|$)/],
+    [/^backdrop-hue-rotate-/],
+    [/^backdrop-invert(?:-|$)/],
+    [/^backdrop-opacity-/],
+    [/^backdrop-saturate-/],
+    [/^backdrop-sepia(?:-|$)/],
+    [/^backdrop-filter(?:-none)?$/],
+    [/^transition(?:-|$)/],
+    [/^delay-/],
+    [/^duration-/],
+    [/^ease-/],
+    [/^will-change-/],
+    [/^content-/]
+];
+
+// Variants in the order Tailwind registers them; prefixed families share one slot
+const VARIANT_ORDER = [
+    '*', 'first-letter', 'first-line', 'marker', 'selection', 'file', 'placeholder', 'backdrop', 'before', 'after',
+    'first', 'last', 'only', 'odd', 'even', 'first-of-type', 'last-of-type', 'only-of-type', 'visited', 'target',
+    'open', 'default', 'checked', 'indeterminate', 'placeholder-shown', 'autofill', 'optional', 'required',
+    'valid', 'invalid', 'in-range', 'out-of-range', 'read-only', 'empty', 'focus-within', 'hover', 'focus',
+    'focus-visible', 'active', 'enabled', 'disabled',
+    'has-', 'group-', 'peer-', 'aria-', 'data-', 'supports-',
+    'ltr', 'rtl', 'motion-safe', 'motion-reduce', 'dark', 'print',
+    ...BREAKPOINTS,
+    'max-', 'min-', '@', 'portrait', 'landscape', 'contrast-more', 'contrast-less', 'forced-colors'
+];
+
+/**
+ * Finds the position of a utility (without variants) in Tailwind's order
+ * @param {string} utility - Utility, e.g. `-mt-2` or `!bg-red-500`
+ * @returns {number} Rank, or -1 when it isn't a Tailwind utility
+ */
+export function getUtilityRank(utility) {
+    const name = utility.replace(/^!|!$/g, '').replace(/^-/, '');
+    let fallback = -1;
+
+    for (let rank = 0; rank < UTILITY_ORDER.length; rank++) {
+        const [pattern, isFallback] = UTILITY_ORDER[rank];
+        if (!pattern.test(name)) continue;
+        if (!isFallback) return rank;
+        if (fallback === -1) fallback = rank;
+    }
+
+    return fallback;
+}
+
+/**
+ * Finds the position of a variant in Tailwind's order. Unknown variants go
+ * right before arbitrary ones, which always come last.
+ * @param {string} variant - Variant without the trailing colon
+ * @returns {number} Rank
+ */
+export function getVariantRank(variant) {
+    if (variant.startsWith('[')) return VARIANT_ORDER.length + 1;
+
+    const exact = VARIANT_ORDER.indexOf(variant);
+    if (exact !== -1) return exact;
+
+    const prefix = VARIANT_ORDER.findIndex(entry => entry.endsWith('-') || entry === '@'
+        ? variant.startsWith(entry)
+        : false);
+    return prefix !== -1 ? prefix : VARIANT_ORDER.length;
+}
+
+function compareVariants(a, b) {
+    // The outermost (highest ranked) variant decides, like Tailwind's variant bitmask
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if (a[i] === undefined) return -1;
+        if (b[i] === undefined) return 1;
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/**
+ * Sorts classes into Tailwind's recommended order. Classes that aren't
+ * Tailwind utilities keep their relative order at the front.
+ * @param {string[]} classes - Classes to sort
+ * @returns {string[]} Sorted copy
+ */
+export function sortClasses(classes) {
+    return classes
+        .map((className, index) => {
+            const { variants, utility } = splitVariants(className);
+            return {
+                className,
+                index,
+                rank: getUtilityRank(utility),
+                variants: variants.map(getVariantRank).sort((a, b) => b - a)
+            };
+        })
+        .sort((a, b) => {
+            if (a.rank === -1 || b.rank === -1) {
+                return (a.rank === -1 ? 0 : 1) - (b.rank === -1 ? 0 : 1) || a.index - b.index;
+            }
+            return compareVariants(a.variants, b.variants)
+                || a.rank - b.rank
+                || a.index - b.index;
+        })
+        .map(entry => entry.className);
+}
+
+// Openers of template expressions that must stay where they are, with their closers
+const EXPRESSION_DELIMITERS = [
+    ['{{', '}}'],
+    ['{%', '%}'],
+    ['{#', '#}'],
+    ['{!!', '!!}'],
+    ['<?', '?>'],
+    ['<%', '%>'],
+    ['@{', '}'],
+    ['@(', ')'],
+    ['${', '}'],
+    ['#{', '}'],
+    ['{', '}']
+];
+
+/**
+ * Splits a class attribute value into static text and template expressions
+ * (`${...}`, `{{ ... }}`, `<?php ... ?>`...)
+ * @param {string} text - Attribute value
+ * @returns {{text: string, isExpression: boolean}[]}
+ */
+export function splitExpressions(text) {
+    const segments = [];
+    let staticStart = 0;
+    let i = 0;
+
+    while (i < text.length) {
+        const delimiter = EXPRESSION_DELIMITERS.find(([open]) => text.startsWith(open, i));
+        if (!delimiter) {
+            i++;
+            continue;
+        }
+
+        const [open, close] = delimiter;
+        let end;
+        const nestOpen = close === '}' ? '{' : '(';
+        if (close.length === 1 && open.endsWith(nestOpen)) {
+            // Brace and paren expressions can nest
+            let depth = 0;
+            for (end = i + open.length - 1; end < text.length; end++) {
+                if (text[end] === nestOpen) depth++;
+                if (text[end] === close && --depth === 0) break;
+            }
+            end++;
+        } else {
+            const closeIndex = text.indexOf(close, i + open.length);
+            end = closeIndex === -1 ? text.length : closeIndex + close.length;
+        }
+
+        if (i > staticStart) {
+            segments.push({ text: text.slice(staticStart, i), isExpression: false });
+        }
+        segments.push({ text: text.slice(i, end), isExpression: true });
+        staticStart = i = end;
+    }
+
+    if (staticStart < text.length) {
+        segments.push({ text: text.slice(staticStart), isExpression: false });
+    }
+    return segments;
+}
+
+/**
+ * Sorts the classes of a static chunk, reusing its whitespace so line breaks
+ * stay in place
+ * @param {string} text - Chunk of classes
+ * @param {boolean} keepFirst - Keep the first class in place (it is glued to an expression before it)
+ * @param {boolean} keepLast - Keep the last class in place (it is glued to an expression after it)
+ * @returns {string}
+ */
+function sortChunk(text, keepFirst, keepLast) {
+    // Even indices hold classes (empty at the edges when there's surrounding whitespace)
+    const parts = text.split(/(\s+)/);
+    const slots = [];
+    parts.forEach((part, index) => {
+        if (index % 2 === 0 && part) slots.push(index);
+    });
+
+    const movable = slots.filter((slot, i) => !(keepFirst && i === 0 && slot === 0)
+        && !(keepLast && i === slots.length - 1 && slot === parts.length - 1));
+    const sorted = sortClasses(movable.map(slot => parts[slot]));
+    movable.forEach((slot, i) => {
+        parts[slot] = sorted[i];
+    });
+
+    return parts.join('');
+}
+
+/**
+ * Sorts a class attribute value, leaving template expressions, quoting and
+ * whitespace where they are
+ * @param {string} text - Attribute value without its quotes
+ * @returns {string} Sorted value
+ */
+export function sortClassString(text) {
+    const segments = splitExpressions(text);
+
+    return segments.map((segment, index) => {
+        if (segment.isExpression) return segment.text;
+
+        const previous = segments[index - 1];
+        const next = segments[index + 1];
+        return sortChunk(
+            segment.text,
+            Boolean(previous && previous.isExpression),
+            Boolean(next && next.isExpression)
+        );
+    }).join('');
+}
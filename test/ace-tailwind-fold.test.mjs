@@ -0,0 +1,187 @@
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { JSDOM } from 'jsdom';
+
+const require = createRequire(import.meta.url);
+const dom = new JSDOM('<!doctype html><div id="editor"></div>');
+
+let TailwindFoldHandler;
+let editor;
+let handler;
+
+const getFolds = () => editor.session.getAllFolds().map(fold => fold.range.toString());
+
+const createHandler = (text, options) => {
+    editor.session.setValue(text);
+    handler = new TailwindFoldHandler(editor, options);
+    return handler;
+};
+
+describe('TailwindFoldHandler', () => {
+    before(async () => {
+        ['window', 'document', 'navigator'].forEach(key => {
+            Object.defineProperty(globalThis, key, { value: dom.window[key], configurable: true });
+        });
+        // The handler needs the global `ace` when it's loaded
+        globalThis.ace = require('ace-builds/src-noconflict/ace.js');
+        ({ default: TailwindFoldHandler } = await import('../src/ace-tailwind-fold.js'));
+        editor = ace.edit(document.getElementById('editor'));
+    });
+
+    afterEach(() => {
+        handler.destroy();
+    });
+
+    after(() => {
+        editor.destroy();
+        dom.window.close();
+    });
+
+    describe('without auto fold', () => {
+        it('folds values edited since they were last folded', () => {
+            createHandler('<p class="a b c">', { autoFold: false });
+            handler.foldAt({ row: 0, column: 11 });
+            handler.unfoldAt({ row: 0, column: 11 });
+            editor.session.insert({ row: 0, column: 15 }, ' d e f');
+
+            handler.foldAt({ row: 0, column: 11 });
+            assert.deepEqual(getFolds(), ['Range: [0/10] -> [0/21]']);
+        });
+
+        it('folds attributes added since the last scan', () => {
+            createHandler('<p class="a b c">', { autoFold: false });
+            handler.collapseAll();
+            editor.session.insert({ row: 0, column: 17 }, '\n<p class="x y z w">');
+
+            handler.collapseAll();
+            assert.deepEqual(getFolds(), ['Range: [0/10] -> [0/15]', 'Range: [1/10] -> [1/17]']);
+        });
+    });
+
+    describe('class problems', () => {
+        it('are found in every value, also the ones too short to fold', () => {
+            createHandler('<p class="p-2 p-4">\n<p class="a b c a">');
+            const problems = handler.getClassProblems();
+            assert.deepEqual(problems.map(({ type, range }) => [type, range.start.row]), [
+                ['conflict', 0],
+                ['duplicate', 1]
+            ]);
+        });
+
+        it('only scan the rows edited since the last update', () => {
+            createHandler('<p class="a b c">\n<p class="d e f">\n<p class="g h i">');
+            const scannedRows = [];
+            const findClassAttributeRange = handler.findClassAttributeRange;
+            handler.findClassAttributeRange = row => {
+                scannedRows.push(row);
+                return findClassAttributeRange.call(handler, row);
+            };
+            editor.session.insert({ row: 1, column: 15 }, ' d');
+
+            const problems = handler.getClassProblems();
+            assert.deepEqual(scannedRows, [1]);
+            assert.deepEqual(problems.map(({ type, range }) => [type, range.start.row]), [['duplicate', 1]]);
+        });
+    });
+
+    describe('class attributes', () => {
+        it('list every value in document order with its fold state', () => {
+            createHandler('<p class="a b">\n<div class="c d e"><span class="f g h">');
+            handler.unfoldAt({ row: 1, column: 32 });
+
+            const entries = handler.getClassAttributes();
+            assert.deepEqual(entries.map(({ range, element, classes, state }) => [
+                range.start.row,
+                element,
+                classes.join(' '),
+                state
+            ]), [
+                [0, 'p', 'a b', 'none'],
+                [1, 'div', 'c d e', 'folded'],
+                [1, 'span', 'f g h', 'unfolded']
+            ]);
+        });
+
+        it('only scan the rows edited since the last update', () => {
+            createHandler('<p class="a b c">\n<p class="d e f">');
+            handler.getClassAttributes();
+            const scannedRows = [];
+            const findClassAttributeRange = handler.findClassAttributeRange;
+            handler.findClassAttributeRange = row => {
+                scannedRows.push(row);
+                return findClassAttributeRange.call(handler, row);
+            };
+            editor.session.insert({ row: 0, column: 0 }, '<p class="x">\n');
+
+            const entries = handler.getClassAttributes();
+            assert.deepEqual(scannedRows, [0, 1]);
+            assert.deepEqual(entries.map(({ range, classes }) => [range.start.row, classes.join(' ')]), [
+                [0, 'x'],
+                [1, 'a b c'],
+                [2, 'd e f']
+            ]);
+        });
+    });
+
+    describe('sorting every class attribute', () => {
+        it('sorts the values of the file', () => {
+            createHandler('<p class="p-4 flex">\n<p class="mt-2 block">\n<p class="text-sm p-2">');
+            assert.equal(handler.sortAllClasses(), 2);
+            assert.equal(editor.getValue(), '<p class="flex p-4">\n<p class="mt-2 block">\n<p class="p-2 text-sm">');
+        });
+
+        it('leaves rows turned off by directives alone', () => {
+            const text = '<!-- tailwind-fold-disable -->\n<p class="p-4 flex">\n<!-- tailwind-fold-enable -->\n<p class="p-4 flex">';
+            createHandler(text);
+            assert.equal(handler.sortAllClasses(), 1);
+            assert.deepEqual(editor.session.getLines(1, 3), ['<p class="p-4 flex">', '<!-- tailwind-fold-enable -->', '<p class="flex p-4">']);
+        });
+
+        it('leaves disabled modes alone', () => {
+            createHandler('<p class="p-4 flex">', { disabledModes: ['text'] });
+            assert.equal(handler.sortAllClasses(), 0);
+            assert.equal(editor.getValue(), '<p class="p-4 flex">');
+        });
+
+        it('leaves excluded sessions alone', () => {
+            createHandler('<p class="p-4 flex">');
+            handler.excludeSession(editor.session);
+            assert.equal(handler.sortAllClasses(), 0);
+            assert.equal(editor.getValue(), '<p class="p-4 flex">');
+        });
+    });
+
+    describe('directives', () => {
+        const text = '<p class="a b c">\n<!-- tailwind-fold-disable -->\n<p class="d e f">\n<!-- tailwind-fold-enable -->\n<p class="g h i">';
+
+        it('keep their rows unfolded when rows are added above them', () => {
+            createHandler(text);
+            editor.session.insert({ row: 0, column: 0 }, '<p class="x y z">\n\n');
+            handler.updateFolds(true);
+            assert.deepEqual(Array.from(handler.folds).map(fold => fold.valueRange.start.row).sort(), [0, 2, 6]);
+        });
+
+        it('are found again when a directive is edited', () => {
+            createHandler(text);
+            editor.session.replace(editor.find('disable'), 'enable');
+            handler.updateFolds(true);
+            assert.equal(handler.folds.size, 3);
+        });
+
+        it('are not searched for again on edits elsewhere', () => {
+            createHandler(`${text}\n${'<p>\n'.repeat(50)}`);
+            const doc = editor.session.getDocument();
+            const readRows = new Set();
+            const getLine = doc.getLine;
+            doc.getLine = row => {
+                readRows.add(row);
+                return getLine.call(doc, row);
+            };
+            editor.session.insert({ row: 0, column: 15 }, ' d');
+            handler.updateFolds(true);
+            doc.getLine = getLine;
+            assert.ok(Math.max(...readRows) < 10);
+        });
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findClassProblems, getConflictKey, removeClasses } from '../src/class-diagnostics.js';
+
+const summarize = problems => problems.map(({ type, className, start }) => [type, className, start]);
+
+describe('findClassProblems', () => {
+    it('reports duplicate classes after their first use', () => {
+        assert.deepEqual(summarize(findClassProblems('a b a')), [['duplicate', 'a', 4]]);
+    });
+
+    it('reports classes overridden by a later one', () => {
+        const problems = findClassProblems('p-2 flex p-4 hidden text-left text-center');
+        assert.deepEqual(summarize(problems), [
+            ['conflict', 'p-2', 0],
+            ['conflict', 'flex', 4],
+            ['conflict', 'text-left', 20]
+        ]);
+        assert.equal(problems[0].message, '"p-2" is overridden by "p-4"');
+    });
+
+    it('keeps variants, important and combinable utilities apart', () => {
+        assert.deepEqual(findClassProblems('p-2 md:p-4 hover:p-4 !p-3 px-2 py-2 text-sm text-red-500'), []);
+        assert.deepEqual(summarize(findClassProblems('-mt-2 mt-4')), [['conflict', '-mt-2', 0]]);
+    });
+
+    it('leaves unknown and custom theme classes alone', () => {
+        assert.deepEqual(findClassProblems('btn btn-primary text-brand text-red-500'), []);
+    });
+
+    it('reports empty values', () => {
+        assert.deepEqual(summarize(findClassProblems('  ')), [['empty', '', 0]]);
+    });
+
+    it('skips values with template syntax', () => {
+        assert.deepEqual(findClassProblems('p-2 ${x} p-4'), []);
+        assert.deepEqual(findClassProblems('p-2 {{ x }} p-4'), []);
+    });
+
+    it('runs only the enabled checks', () => {
+        const checks = { duplicates: true, conflicts: false, empty: false };
+        assert.deepEqual(summarize(findClassProblems('p-2 p-4 p-4', checks)), [['duplicate', 'p-4', 8]]);
+        assert.deepEqual(findClassProblems('', checks), []);
+    });
+});
+
+describe('getConflictKey', () => {
+    it('includes the variants', () => {
+        assert.equal(getConflictKey('md:hover:p-2'), 'md:hover:padding');
+        assert.equal(getConflictKey('btn'), null);
+    });
+});
+
+describe('removeClasses', () => {
+    it('removes the classes with their whitespace', () => {
+        const text = 'p-2 flex p-4 flex';
+        assert.equal(removeClasses(text, findClassProblems(text)), 'flex p-4');
+    });
+
+    it('keeps line breaks of multi-line values', () => {
+        const text = 'flex\n    p-2\n    p-4';
+        assert.equal(removeClasses(text, findClassProblems(text)), 'flex\n    p-4');
+    });
+});
@@ -0,0 +1,489 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ClassScanner, findElementName, findIgnoredRows, scanClassAttributes } from '../src/class-scanner.js';
+import { validateModeDefinitions } from '../src/mode-definitions.js';
+
+const summarize = results => results.map(({ kind, name, start, end, classes }) => ({
+    kind,
+    name,
+    start: [start.row, start.column],
+    end: [end.row, end.column],
+    classes
+}));
+
+describe('scanClassAttributes', () => {
+    describe('built-in modes', () => {
+        it('html (default mode)', () => {
+            const results = scanClassAttributes('<div class="flex items-center gap-2"></div>', { mode: 'html' });
+            assert.deepEqual(summarize(results), [{
+                kind: 'attribute',
+                name: 'class',
+                start: [0, 12],
+                end: [0, 35],
+                classes: ['flex', 'items-center', 'gap-2']
+            }]);
+        });
+
+        it('jsx', () => {
+            const results = scanClassAttributes('const a = <div className="p-4 m-2 text-sm" />;', { mode: 'jsx' });
+            assert.deepEqual(summarize(results), [{
+                kind: 'attribute',
+                name: 'className',
+                start: [0, 26],
+                end: [0, 41],
+                classes: ['p-4', 'm-2', 'text-sm']
+            }]);
+        });
+
+        it('tsx with a brace value', () => {
+            const [result] = scanClassAttributes('<Button className={"p-4 m-2"} />', { mode: 'ace/mode/tsx' });
+            assert.equal(result.name, 'className');
+            assert.deepEqual([result.start.column, result.end.column], [19, 28]);
+        });
+
+        it('vue', () => {
+            const results = scanClassAttributes('<div class="a b" :class="{ active: isActive }"></div>', { mode: 'vue' });
+            assert.deepEqual(results.map(result => result.name), ['class', ':class']);
+            assert.deepEqual(results[0].classes, ['a', 'b']);
+        });
+
+        it('svelte', () => {
+            const results = scanClassAttributes('<div class="a b c"></div>', { mode: 'svelte' });
+            assert.deepEqual(results[0].classes, ['a', 'b', 'c']);
+        });
+
+        it('astro', () => {
+            const results = scanClassAttributes('<div class:list={["a", { b: c }]}></div>', { mode: 'astro' });
+            assert.equal(results[0].name, 'class:list');
+            assert.deepEqual([results[0].start.column, results[0].end.column], [17, 32]);
+        });
+
+        it('blade', () => {
+            const results = scanClassAttributes('<div class="a b c"></div>', { mode: 'blade' });
+            assert.deepEqual(results[0].classes, ['a', 'b', 'c']);
+        });
+
+        it('twig', () => {
+            const results = scanClassAttributes('<div class="a b {{ extra }}"></div>', { mode: 'twig' });
+            assert.deepEqual([results[0].start.column, results[0].end.column], [12, 27]);
+        });
+
+        it('liquid', () => {
+            const results = scanClassAttributes('<div class="a {% if x %}b{% endif %}"></div>', { mode: 'liquid' });
+            assert.deepEqual([results[0].start.column, results[0].end.column], [12, 36]);
+        });
+
+        it('pug', () => {
+            const results = scanClassAttributes('div(class="a b c")', { mode: 'pug' });
+            assert.deepEqual(summarize(results), [{
+                kind: 'attribute',
+                name: 'class',
+                start: [0, 11],
+                end: [0, 16],
+                classes: ['a', 'b', 'c']
+            }]);
+        });
+
+        it('pug shorthand', () => {
+            const results = scanClassAttributes('  a#top.flex.md\\:p-4.w-1\\/2(href="/") Home', { mode: 'jade' });
+            assert.deepEqual(summarize(results), [{
+                kind: 'shorthand',
+                name: 'a#top',
+                start: [0, 8],
+                end: [0, 27],
+                classes: ['flex', 'md:p-4', 'w-1/2']
+            }]);
+        });
+
+        it('haml', () => {
+            const text = '%div.flex.gap-2.p-4\n.a.b.c{class: "d e f"}\n%p.';
+            const results = scanClassAttributes(text, { mode: 'haml' });
+            assert.deepEqual(results.map(result => [result.name, result.classes]), [
+                ['%div', ['flex', 'gap-2', 'p-4']],
+                ['', ['a', 'b', 'c']],
+                ['class', ['d', 'e', 'f']]
+            ]);
+        });
+
+        it('slim', () => {
+            const results = scanClassAttributes('div.a.b.c class="d e f"\n| x.y.z', { mode: 'slim' });
+            assert.deepEqual(results.map(result => [result.kind, result.classes]), [
+                ['shorthand', ['a', 'b', 'c']],
+                ['attribute', ['d', 'e', 'f']]
+            ]);
+        });
+
+        it('pug text blocks', () => {
+            const text = 'script.\n  if (a) {\n    window.location.href.split("/")\n  }\nstyle.\n  .btn.primary.big { color: red; }\ndiv.a.b.c';
+            const results = scanClassAttributes(text, { mode: 'pug' });
+            assert.deepEqual(results.map(result => [result.start.row, result.classes]), [[6, ['a', 'b', 'c']]]);
+        });
+
+        it('pug text ending in a period', () => {
+            const text = 'div\n  p Hello world.\n    span.a.b.c\n  p(class="x").\n    window.d.e';
+            const results = scanClassAttributes(text, { mode: 'pug' });
+            assert.deepEqual(results.map(result => [result.start.row, result.classes]), [
+                [2, ['a', 'b', 'c']],
+                [3, ['x']]
+            ]);
+        });
+
+        it('slim and haml filters', () => {
+            const slim = 'javascript:\n  window.location.href.split("/")\ncss:\n  .btn.primary.big { color: red; }\np.a.b.c';
+            assert.deepEqual(scanClassAttributes(slim, { mode: 'slim' }).map(result => result.start.row), [4]);
+
+            const haml = ':javascript\n  window.location.href.split("/")\n%p.a.b.c';
+            assert.deepEqual(scanClassAttributes(haml, { mode: 'haml' }).map(result => result.start.row), [2]);
+        });
+
+        it('php', () => {
+            const results = scanClassAttributes('<div class="a b c"></div>', { mode: 'php' });
+            assert.deepEqual(results[0].classes, ['a', 'b', 'c']);
+        });
+
+        it('angular', () => {
+            const text = '<p [ngClass]="{ \'a b\': big, c: on }" [class.d]="on" [class]="e">';
+            const results = scanClassAttributes(text, { mode: 'html', minClasses: 1 });
+            assert.deepEqual(results.map(result => [result.name, result.classes]), [['[ngClass]', ['a', 'b', 'c']]]);
+        });
+
+        it('solid', () => {
+            const [result] = scanClassAttributes('<p classList={{ a: x(), "b c": y() }} />', { mode: 'tsx' });
+            assert.deepEqual(result.classes, ['a', 'b', 'c']);
+        });
+
+        it('heex', () => {
+            const [result] = scanClassAttributes('<p class={["a b", @on && "c", @rest]}>', { mode: 'html_elixir' });
+            assert.deepEqual(result.classes, ['a', 'b', 'c']);
+        });
+
+        it('razor', () => {
+            const results = scanClassAttributes('<p class="a @(on ? "b" : "c") d">', { mode: 'razor' });
+            assert.deepEqual([results[0].start.column, results[0].end.column], [10, 31]);
+            assert.deepEqual(results[0].classes, ['a', 'd']);
+
+            const [result] = scanClassAttributes('<p class="@(x ? "a" : "b") px-2 py-1">', { mode: 'razor' });
+            assert.deepEqual(result.classes, ['px-2', 'py-1']);
+        });
+
+        it('erb', () => {
+            const text = '<p class="a <%= on ? "b" : "c" %> d"><%= link_to "Go", path, class: "e f g" %>';
+            const results = scanClassAttributes(text, { mode: 'html_ruby' });
+            assert.deepEqual(results.map(result => [result.start.column, result.end.column]), [[10, 35], [69, 74]]);
+            assert.deepEqual(results[0].classes, ['a', 'd']);
+            assert.deepEqual(results[1].classes, ['e', 'f', 'g']);
+        });
+
+        it('leaves template tags and the words glued to them out of class lists', () => {
+            const text = '<p class="{{ size }} p-4 bg-{{ color }}-500 <%= "x }}" %> #{y} flex">';
+            const [result] = scanClassAttributes(text, { mode: 'html_ruby' });
+            assert.deepEqual(result.classes, ['p-4', 'flex']);
+        });
+
+        it('ruby hash keys', () => {
+            const results = scanClassAttributes('tag.p("x", :class => "a b c", data_class: "d e f")', { mode: 'ruby' });
+            assert.deepEqual(results.map(result => [result.name, result.classes]), [['class', ['a', 'b', 'c']]]);
+        });
+
+        it('modes without an entry use the default one', () => {
+            const results = scanClassAttributes('<p class="a b c">', { mode: 'markdown' });
+            assert.equal(results.length, 1);
+        });
+
+        it('only jsx-like modes accept brace values', () => {
+            assert.equal(scanClassAttributes('<p class={"a"}>', { mode: 'html' }).length, 0);
+            assert.equal(scanClassAttributes('<p class={"a"}>', { mode: 'jsx' }).length, 1);
+        });
+    });
+
+    it('finds values spanning several lines', () => {
+        const text = '<div class="flex\n    items-center\n    gap-2">';
+        assert.deepEqual(summarize(scanClassAttributes(text)), [{
+            kind: 'attribute',
+            name: 'class',
+            start: [0, 12],
+            end: [2, 9],
+            classes: ['flex', 'items-center', 'gap-2']
+        }]);
+    });
+
+    describe('value delimiters', () => {
+        const valueText = (text, mode) => {
+            const [{ start, end }] = scanClassAttributes(text, { mode });
+            const lines = text.split('\n');
+            if (start.row === end.row) return lines[start.row].slice(start.column, end.column);
+            return [
+                lines[start.row].slice(start.column),
+                ...lines.slice(start.row + 1, end.row),
+                lines[end.row].slice(0, end.column)
+            ].join('\n');
+        };
+
+        it('skips escaped quotes', () => {
+            assert.equal(valueText('<p class="a \\" b c" id="x">'), 'a \\" b c');
+        });
+
+        it('leaves escaped quotes out of the classes', () => {
+            const [result] = scanClassAttributes('<p class="a \\" b c">');
+            assert.deepEqual(result.classes, ['a', 'b', 'c']);
+        });
+
+        it('skips quotes inside template tags', () => {
+            assert.equal(valueText('<p class="a {{ x ? "b" : "c" }} d">', 'twig'), 'a {{ x ? "b" : "c" }} d');
+            assert.equal(valueText('<p class="a <?= $x ? "b" : "c" ?> d">', 'php'), 'a <?= $x ? "b" : "c" ?> d');
+        });
+
+        it('skips nested template literals in interpolations', () => {
+            const text = '<p className={`a ${x ? `b ${y}` : "c"} d`} id="x" />';
+            assert.equal(valueText(text, 'jsx'), '`a ${x ? `b ${y}` : "c"} d`');
+            assert.equal(valueText('<p className=`a ${`b`} c` />', 'jsx'), 'a ${`b`} c');
+        });
+
+        it('skips braces in strings and comments inside expressions', () => {
+            assert.equal(valueText('<p className={x ? "a }" : \'b {\'} id="x" />', 'jsx'), 'x ? "a }" : \'b {\'');
+            const text = '<p className={x /* } */\n  // }\n  ? "a" : "b"} />';
+            assert.equal(valueText(text, 'jsx'), 'x /* } */\n  // }\n  ? "a" : "b"');
+        });
+
+        it('keeps nested braces balanced', () => {
+            assert.equal(valueText('<p :class="{ a: { b: c } }" id="x">', 'vue'), '{ a: { b: c } }');
+            assert.equal(valueText('<p className={{ a: b }} />', 'jsx'), '{ a: b }');
+        });
+
+        it('leaves unclosed values alone', () => {
+            assert.equal(scanClassAttributes('<p className={`a b', { mode: 'jsx' }).length, 0);
+        });
+    });
+
+    describe('class bindings', () => {
+        const classesOf = (text, mode) => scanClassAttributes(text, { mode })[0].classes;
+
+        it('reads object keys and ignores their conditions', () => {
+            const text = `<p :class="{ 'bg-red-500 text-white': isError, hidden: !open, block }">`;
+            assert.deepEqual(classesOf(text, 'vue'), ['bg-red-500', 'text-white', 'hidden', 'block']);
+        });
+
+        it('reads array elements and ternary branches', () => {
+            const text = `<p :class="[base, active ? 'a b' : 'c', { d: x === 'e' }]">`;
+            assert.deepEqual(classesOf(text, 'vue'), ['a', 'b', 'c', 'd']);
+            assert.deepEqual(classesOf(`<p v-bind:class="[{ 'a b': x }]">`, 'vue'), ['a', 'b']);
+        });
+
+        it('ignores strings that are compared', () => {
+            const text = `<p className={size === 'lg' ? 'text-lg' : 'text-sm'} />`;
+            assert.deepEqual(classesOf(text, 'jsx'), ['text-lg', 'text-sm']);
+        });
+
+        it('leaves out classes built from variables', () => {
+            const text = `<p className={'px-4 ' + (big ? 'text-lg' : 'text-sm') + ' bg-' + color} />`;
+            assert.deepEqual(classesOf(text, 'jsx'), ['px-4', 'text-lg', 'text-sm']);
+            assert.deepEqual(classesOf('<p className={`a bg-${color}-500 ${x ? "b" : ""}`} />', 'jsx'), ['a', 'b']);
+        });
+
+        it('splits plain values as before', () => {
+            assert.deepEqual(classesOf('<p class="a {b} c">'), ['a', '{b}', 'c']);
+        });
+    });
+
+    it('skips values with fewer than minClasses classes', () => {
+        const text = '<p class="a b">\n<p class="a b c">';
+        const results = scanClassAttributes(text, { minClasses: 3 });
+        assert.deepEqual(results.map(result => result.start.row), [1]);
+    });
+
+    describe('fold thresholds', () => {
+        const text = '<p class="a b c">\n<p class="flex items-center justify-between">\n<p class="a\n  b">';
+        const rowsOf = options => scanClassAttributes(text, { minClasses: 3, ...options })
+            .map(result => result.start.row);
+
+        it('requires every threshold by default', () => {
+            assert.deepEqual(rowsOf({ minLength: 20 }), [1]);
+            assert.deepEqual(rowsOf({ multiLineOnly: true }), []);
+            assert.deepEqual(rowsOf({ minClasses: 2, multiLineOnly: true }), [2]);
+        });
+
+        it('requires any threshold with foldWhen "any"', () => {
+            assert.deepEqual(rowsOf({ multiLineOnly: true, foldWhen: 'any' }), [0, 1, 2]);
+            assert.deepEqual(rowsOf({ minClasses: 9, minLength: 20, foldWhen: 'any' }), [1]);
+        });
+
+        it('compares the longest line of the value with overflowColumns', () => {
+            assert.deepEqual(rowsOf({ overflowColumns: 20 }), [1]);
+            assert.deepEqual(rowsOf({ overflowColumns: 60 }), []);
+        });
+    });
+
+    it('watches extra attributes', () => {
+        const text = '<p data-classes="a b c">';
+        assert.equal(scanClassAttributes(text).length, 0);
+        assert.equal(scanClassAttributes(text, { attributes: ['data-classes'] })[0].name, 'data-classes');
+    });
+
+    describe('class utilities', () => {
+        it('finds the string arguments of calls, scoped to the call', () => {
+            const text = 'const c = cn("p-4 m-2", active && "bg-sky-700 text-white");';
+            assert.deepEqual(summarize(scanClassAttributes(text, { mode: 'tsx' })), [
+                { kind: 'function', name: 'cn', start: [0, 14], end: [0, 21], classes: ['p-4', 'm-2'] },
+                { kind: 'function', name: 'cn', start: [0, 35], end: [0, 56], classes: ['bg-sky-700', 'text-white'] }
+            ]);
+            assert.deepEqual(scanClassAttributes(text, { mode: 'tsx' })[0].scope, {
+                start: { row: 0, column: 10 },
+                end: { row: 0, column: 57 }
+            });
+        });
+
+        it('finds strings in variant objects across lines', () => {
+            const text = [
+                'const button = cva("px-4 py-2", {',
+                '    variants: {',
+                '        size: { sm: "text-sm h-8", lg: "text-lg h-12" }',
+                '    }',
+                '});'
+            ].join('\n');
+            const results = scanClassAttributes(text, { mode: 'tsx' });
+            assert.deepEqual(results.map(result => result.classes), [
+                ['px-4', 'py-2'],
+                ['text-sm', 'h-8'],
+                ['text-lg', 'h-12']
+            ]);
+            assert.ok(results.every(result => result.scope.end.row === 4));
+        });
+
+        it('folds class utility arguments instead of the attribute around them', () => {
+            const text = '<p className={cn("a b c", x && "d e f")} />';
+            const results = scanClassAttributes(text, { mode: 'jsx' });
+            assert.deepEqual(results.map(result => result.kind), ['function', 'function']);
+        });
+
+        it('ignores strings in comments inside the call', () => {
+            const text = 'cn("a b", /* "c d" */ "e f") // "g h"';
+            const results = scanClassAttributes(text, { mode: 'jsx' });
+            assert.deepEqual(results.map(result => result.classes), [['a', 'b'], ['e', 'f']]);
+        });
+
+        it('watches extra functions', () => {
+            const text = 'const c = classes("a b c");';
+            assert.equal(scanClassAttributes(text, { mode: 'jsx' }).length, 0);
+            assert.equal(scanClassAttributes(text, { mode: 'jsx', functions: ['classes'] }).length, 1);
+        });
+
+        it('can be turned off per mode', () => {
+            const text = 'const c = cn("a b c");';
+            const modes = { 'ace/mode/jsx': { attributes: ['className'], quotes: '"\'`{', functions: false } };
+            assert.equal(scanClassAttributes(text, { mode: 'jsx', modes }).length, 0);
+        });
+    });
+
+    describe('directives', () => {
+        it('ignores the line after tailwind-fold-ignore-next-line', () => {
+            const text = [
+                '<!-- tailwind-fold-ignore-next-line -->',
+                '<p class="a b c">',
+                '<p class="a b c">'
+            ].join('\n');
+            assert.deepEqual(scanClassAttributes(text).map(result => result.start.row), [2]);
+        });
+
+        it('ignores rows between tailwind-fold-disable and tailwind-fold-enable', () => {
+            const text = [
+                '{/* tailwind-fold-disable */}',
+                '<p className="a b c" />',
+                '{/* tailwind-fold-enable */}',
+                '<p className="a b c" />'
+            ].join('\n');
+            assert.deepEqual(scanClassAttributes(text, { mode: 'jsx' }).map(result => result.start.row), [3]);
+        });
+
+        it('reports the ignored rows', () => {
+            const lines = [
+                '// tailwind-fold-ignore-next-line',
+                'a',
+                '// tailwind-fold-disable',
+                'b'
+            ];
+            const source = { getLine: row => lines[row], getLength: () => lines.length };
+            assert.deepEqual(findIgnoredRows(source), [{ start: 1, end: 1 }, { start: 2, end: Infinity }]);
+        });
+    });
+});
+
+describe('ClassScanner', () => {
+    it('asks the filter before accepting matches', () => {
+        const lines = ['<p class="a b c">', '<!-- <p class="a b c"> -->'];
+        const source = { getLine: row => lines[row], getLength: () => lines.length };
+        const scanner = new ClassScanner();
+        const filter = { isAttributeMatch: row => row === 0 };
+        assert.equal(scanner.findRanges(source, 0, 'ace/mode/html', filter).length, 1);
+        assert.equal(scanner.findRanges(source, 1, 'ace/mode/html', filter).length, 0);
+        assert.equal(scanner.findRanges(source, 1, 'ace/mode/html').length, 1);
+    });
+
+    it('keeps the first classes of shorthand chains visible', () => {
+        const lines = ['div.flex.gap-2.p-4.md\\:flex'];
+        const source = { getLine: row => lines[row], getLength: () => lines.length };
+        const scanner = new ClassScanner();
+        const [range] = scanner.findRanges(source, 0, 'ace/mode/pug');
+        const start = scanner.getFoldStart(source, range, 'ace/mode/pug', { visibleClasses: 2 });
+        assert.deepEqual(start, { row: 0, column: 14 });
+        assert.deepEqual(scanner.parseClasses(source, { ...range, start }), ['p-4', 'md:flex']);
+    });
+
+    it('compiles serializable mode definitions', () => {
+        const scanner = new ClassScanner({
+            modes: { 'ace/mode/html': { attributes: ['data-tw'], extend: true } }
+        });
+        const lines = ['<p data-tw="a b" class="c d">'];
+        const source = { getLine: row => lines[row], getLength: () => lines.length };
+        assert.deepEqual(scanner.findRanges(source, 0, 'ace/mode/html').map(range => range.name), ['data-tw', 'class']);
+    });
+
+    it('takes mode names as well as mode ids', () => {
+        const scanner = new ClassScanner({ modes: { html: { attributes: ['data-tw'] } } });
+        const lines = ['<p data-tw="a b" class="c d">'];
+        const source = { getLine: row => lines[row], getLength: () => lines.length };
+        assert.deepEqual(scanner.findRanges(source, 0, 'ace/mode/html').map(range => range.name), ['data-tw']);
+    });
+});
+
+describe('findElementName', () => {
+    const nameAll = (text, mode) => {
+        const lines = text.split('\n');
+        const source = { getLine: row => lines[row] || '', getLength: () => lines.length };
+        return scanClassAttributes(text, { mode, minClasses: 1 }).map(range => findElementName(source, range));
+    };
+
+    it('names the tag of attributes, also on lines of their own', () => {
+        assert.deepEqual(nameAll('<ul><li class="a"></li></ul>\n<Card.Header\n    id="x"\n    className="b">', 'jsx'),
+            ['li', 'Card.Header']);
+    });
+
+    it('names utility calls and leading tags', () => {
+        assert.deepEqual(nameAll('<p className={cn("a", "b")}>', 'jsx'), ['cn()', 'cn()']);
+        assert.deepEqual(nameAll('a#top.flex(class="b")\n.c', 'pug'), ['a#top', 'a', 'div']);
+    });
+});
+
+describe('validateModeDefinitions', () => {
+    it('accepts valid definitions', () => {
+        assert.deepEqual(validateModeDefinitions({ 'ace/mode/html': { attributes: ['class'], visibleClasses: 2 } }), []);
+        assert.deepEqual(validateModeDefinitions({ 'ace/mode/x': { patterns: ['\\{%\\s*class\\s*%\\}'] } }), []);
+        assert.deepEqual(validateModeDefinitions({ html: { attributes: ['class'] } }), []);
+    });
+
+    it('reports a mode given by both its name and its id', () => {
+        const errors = validateModeDefinitions({ html: { attributes: ['class'] }, 'ace/mode/html': { attributes: ['class'] } });
+        assert.deepEqual(errors, ['Mode "ace/mode/html": same mode as "html"']);
+    });
+
+    it('reports patterns that fail to compile', () => {
+        const [error] = validateModeDefinitions({ 'ace/mode/x': { patterns: ['(a'] } });
+        assert.match(error, /^Mode "ace\/mode\/x": pattern "\(a" failed to compile/);
+    });
+
+    it('reports malformed definitions', () => {
+        assert.equal(validateModeDefinitions({ a: { attributes: 'class' }, b: { foo: 1 }, c: {} }).length, 3);
+        assert.equal(validateModeDefinitions({ a: { attributes: ['class'], visibleClasses: -1 } }).length, 1);
+        assert.equal(validateModeDefinitions([]).length, 1);
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import FoldEngine from '../src/fold-engine.js';
+
+const toLines = text => {
+    const lines = text.split('\n');
+    return { getLine: row => lines[row], getLength: () => lines.length };
+};
+
+describe('FoldEngine', () => {
+    const text = '<p class="a b c">\n<p class="d e">\n<p class="f g h i">';
+
+    it('scans with the minimum class count and renders placeholders', () => {
+        const engine = new FoldEngine({ placeholder: '{count}' });
+        const folds = engine.scan(toLines(text), 'default');
+        assert.deepEqual(folds.map(fold => [fold.start.row, fold.placeholder]), [[0, '3'], [2, '4']]);
+    });
+
+    it('keeps folds holding a cursor open', () => {
+        const engine = new FoldEngine();
+        engine.scan(toLines(text), 'default');
+        const collapsed = engine.getCollapsedFolds([{ row: 2, column: 12 }]);
+        assert.deepEqual(collapsed.map(fold => fold.start.row), [0]);
+    });
+
+    it('keeps folds touched by any cursor or selection open', () => {
+        const engine = new FoldEngine();
+        engine.scan(toLines(text), 'default');
+        const cursors = [{ row: 0, column: 12 }, { row: 2, column: 12 }];
+        assert.equal(engine.getCollapsedFolds(cursors).length, 0);
+
+        const selection = { start: { row: 0, column: 0 }, end: { row: 1, column: 0 } };
+        assert.deepEqual(engine.getCollapsedFolds([selection]).map(fold => fold.start.row), [2]);
+    });
+
+    it('collapses nothing until toggled without auto fold', () => {
+        const engine = new FoldEngine({ autoFold: false });
+        engine.scan(toLines(text), 'default');
+        assert.equal(engine.getCollapsedFolds([]).length, 0);
+        engine.toggle();
+        assert.equal(engine.getCollapsedFolds([]).length, 2);
+    });
+
+    it('finds nothing in disabled modes', () => {
+        const engine = new FoldEngine({ disabledModes: ['css'] });
+        assert.equal(engine.scan(toLines(text), 'ace/mode/css').length, 0);
+    });
+
+    it('applies new options', () => {
+        const engine = new FoldEngine();
+        engine.setOptions({ minClasses: 2 });
+        assert.equal(engine.scan(toLines(text), 'default').length, 3);
+    });
+
+    it('keeps the first classes visible', () => {
+        const engine = new FoldEngine({ visibleClasses: 2, placeholder: '+{count}' });
+        const folds = engine.scan(toLines(text), 'default');
+        assert.deepEqual(folds.map(fold => [fold.start.column, fold.valueStart.column, fold.placeholder]), [
+            [14, 10, '+1'],
+            [14, 10, '+2']
+        ]);
+        // The visible part belongs to the fold, so a cursor there keeps it open
+        assert.deepEqual(engine.getCollapsedFolds([{ row: 0, column: 11 }]).map(fold => fold.start.row), [2]);
+    });
+
+    it('re-scans only the changed rows and moves the folds below them', () => {
+        const engine = new FoldEngine();
+        engine.scan(toLines(text), 'default');
+        // Row 1 replaced by two rows, the second of them foldable
+        const edited = '<p class="a b c">\n<p class="d e">\n<p class="x y z">\n<p class="f g h i">';
+        const change = FoldEngine.mergeChanges(null, { startRow: 1, oldEndRow: 1, endRow: 2 });
+
+        const folds = engine.rescan(toLines(edited), 'default', change);
+        assert.deepEqual(folds.map(fold => [fold.start.row, fold.classes.join(' ')]), [
+            [0, 'a b c'],
+            [2, 'x y z'],
+            [3, 'f g h i']
+        ]);
+        assert.deepEqual(folds, new FoldEngine().scan(toLines(edited), 'default'));
+    });
+
+    it('scans files with directives in full', () => {
+        const engine = new FoldEngine();
+        engine.scan(toLines(`<!-- tailwind-fold-disable -->\n${text}`), 'default');
+        assert.equal(engine.folds.length, 0);
+
+        const change = FoldEngine.mergeChanges(null, { startRow: 0, oldEndRow: 0, endRow: 0 });
+        assert.equal(engine.rescan(toLines(`<!-- -->\n${text}`), 'default', change).length, 2);
+    });
+
+    it('takes the number of visible classes from the mode', () => {
+        const modes = { 'ace/mode/html': { attributes: ['class'], visibleClasses: 3 } };
+        const engine = new FoldEngine({ visibleClasses: 1, modes });
+        assert.deepEqual(engine.scan(toLines(text), 'ace/mode/html').map(fold => fold.start.row), [2]);
+    });
+});
+
+describe('FoldEngine.mergeChanges', () => {
+    it('moves pending rows along with the rows an edit adds or removes', () => {
+        let change = FoldEngine.mergeChanges(null, { startRow: 10, oldEndRow: 11, endRow: 14 });
+        assert.deepEqual(change, { startRow: 10, endRow: 14, lineShift: 3 });
+
+        // Three rows removed above
+        change = FoldEngine.mergeChanges(change, { startRow: 2, oldEndRow: 5, endRow: 2 });
+        assert.deepEqual(change, { startRow: 2, endRow: 11, lineShift: 0 });
+    });
+
+    it('merges edits inside the pending rows', () => {
+        const change = FoldEngine.mergeChanges({ startRow: 4, endRow: 8, lineShift: 1 },
+            { startRow: 6, oldEndRow: 6, endRow: 6 });
+        assert.deepEqual(change, { startRow: 4, endRow: 8, lineShift: 1 });
+    });
+});
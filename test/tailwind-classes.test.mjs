@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findFoldOffset, groupClassesByVariant, renderPlaceholder } from '../src/tailwind-classes.js';
+
+describe('findFoldOffset', () => {
+    const text = 'bg-white flex p-4 items-center rounded';
+
+    it('folds everything by default', () => {
+        assert.equal(findFoldOffset(text), 0);
+    });
+
+    it('keeps classes or characters visible', () => {
+        assert.equal(findFoldOffset(text, { visibleClasses: 2 }), 14);
+        assert.equal(findFoldOffset(text, { visibleChars: 12 }), 9);
+        assert.equal(findFoldOffset(text, { visibleClasses: 3, visibleChars: 12 }), 9);
+        assert.equal(findFoldOffset(text, { visibleClasses: 5 }), -1);
+    });
+
+    it('can count layout classes only', () => {
+        assert.equal(findFoldOffset(text, { visibleClasses: 2, visibleLayout: true }), 31);
+        assert.equal(findFoldOffset('p-4 m-2', { visibleClasses: 1, visibleLayout: true }), 4);
+    });
+});
+
+describe('renderPlaceholder', () => {
+    const classes = ['flex', 'items-center', 'gap-2', 'p-4'];
+
+    it('replaces template tokens', () => {
+        assert.equal(renderPlaceholder('{count} classes', classes), '4 classes');
+        assert.equal(renderPlaceholder('{first:2} +{rest}', classes), 'flex items-center +2');
+        assert.equal(renderPlaceholder('{first} … {last}', classes), 'flex … p-4');
+        assert.equal(renderPlaceholder('{last:2}', classes), 'gap-2 p-4');
+    });
+
+    it('calls placeholder callbacks', () => {
+        assert.equal(renderPlaceholder(list => `${list.length}!`, classes), '4!');
+    });
+});
+
+describe('groupClassesByVariant', () => {
+    const summarize = groups => groups.map(({ variant, classes }) => [variant, classes]);
+
+    it('orders groups by breakpoint, state, dark and arbitrary variants', () => {
+        const groups = groupClassesByVariant(['hover:underline', 'md:flex', 'p-4', 'dark:text-white', 'sm:p-2']);
+        assert.deepEqual(summarize(groups), [
+            ['', ['p-4']],
+            ['sm:', ['p-2']],
+            ['md:', ['flex']],
+            ['hover:', ['underline']],
+            ['dark:', ['text-white']]
+        ]);
+    });
+
+    it('groups stacked variants together, by their first variant', () => {
+        const groups = groupClassesByVariant(['dark:hover:bg-black', 'hover:bg-white', 'dark:hover:text-white']);
+        assert.deepEqual(groups, [
+            { variant: 'hover:', category: 'state', classes: ['bg-white'] },
+            { variant: 'dark:hover:', category: 'dark', classes: ['bg-black', 'text-white'] }
+        ]);
+    });
+
+    it('puts arbitrary variants last, without splitting their selectors', () => {
+        const groups = groupClassesByVariant(['[&>*]:p-2', 'data-[open=true]:block', 'p-4', '[&>*]:m-1']);
+        assert.deepEqual(groups, [
+            { variant: '', category: 'base', classes: ['p-4'] },
+            { variant: '[&>*]:', category: 'arbitrary', classes: ['p-2', 'm-1'] },
+            { variant: 'data-[open=true]:', category: 'arbitrary', classes: ['block'] }
+        ]);
+    });
+
+    it('keeps important modifiers on the utility', () => {
+        const groups = groupClassesByVariant(['!font-bold', 'hover:!text-red-500', 'md:p-4!']);
+        assert.deepEqual(summarize(groups), [
+            ['', ['!font-bold']],
+            ['md:', ['p-4!']],
+            ['hover:', ['!text-red-500']]
+        ]);
+    });
+});
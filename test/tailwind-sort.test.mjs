@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getUtilityRank, sortClasses, sortClassString, splitExpressions } from '../src/tailwind-sort.js';
+
+describe('sortClasses', () => {
+    it('orders utilities the way Tailwind does', () => {
+        assert.deepEqual(sortClasses(['p-4', 'bg-white', 'flex', '-mt-2']), ['-mt-2', 'flex', 'bg-white', 'p-4']);
+    });
+
+    it('puts variants after base classes, ordered by their outermost variant', () => {
+        const classes = ['[&>*]:p-1', 'dark:md:p-4', 'md:flex', 'hover:bg-red-500', 'md:p-2', 'p-4'];
+        assert.deepEqual(sortClasses(classes), [
+            'p-4',
+            'hover:bg-red-500',
+            'md:flex',
+            'md:p-2',
+            'dark:md:p-4',
+            '[&>*]:p-1'
+        ]);
+    });
+
+    it('keeps unknown classes in their order at the front', () => {
+        assert.equal(getUtilityRank('js-toggle'), -1);
+        assert.deepEqual(sortClasses(['p-4', 'btn', 'flex', 'js-toggle']), ['btn', 'js-toggle', 'flex', 'p-4']);
+    });
+});
+
+describe('splitExpressions', () => {
+    it('separates template expressions from static text', () => {
+        assert.deepEqual(splitExpressions('a <?php echo $x ?> b {{ c }}'), [
+            { text: 'a ', isExpression: false },
+            { text: '<?php echo $x ?>', isExpression: true },
+            { text: ' b ', isExpression: false },
+            { text: '{{ c }}', isExpression: true }
+        ]);
+    });
+
+    it('follows nested braces', () => {
+        assert.deepEqual(splitExpressions('${a({ b: 1 })} p-4').map(segment => segment.text), ['${a({ b: 1 })}', ' p-4']);
+    });
+});
+
+describe('sortClassString', () => {
+    it('keeps template expressions in place', () => {
+        assert.equal(sortClassString('p-4 {{ active ? "bg-blue" : "" }} flex mt-2'),
+            'p-4 {{ active ? "bg-blue" : "" }} mt-2 flex');
+    });
+
+    it('keeps classes glued to an expression in place', () => {
+        assert.equal(sortClassString('px-${size} flex p-4 mt-${gap}'), 'px-${size} flex p-4 mt-${gap}');
+    });
+
+    it('keeps whitespace and line breaks', () => {
+        assert.equal(sortClassString(' p-4 flex\n  mt-2 block '), ' mt-2 flex\n  block p-4 ');
+    });
+
+    it('leaves sorted values unchanged', () => {
+        const sorted = sortClassString('hover:bg-red-500 md:flex p-4 bg-white btn flex');
+        assert.equal(sorted, 'btn flex bg-white p-4 hover:bg-red-500 md:flex');
+        assert.equal(sortClassString(sorted), sorted);
+    });
+});
@@ -1,6 +1,6 @@
 declare var editorManager: EditorManager;
 
-type FileEvent = "switch-file" | "rename-file" | "save-file" | "file-loaded" | "file-content-changed" | "add-folder" | "remove-folder" | "new-file" | "init-open-file-list" | "update";
+type FileEvent = "switch-file" | "remove-file" | "rename-file" | "save-file" | "file-loaded" | "file-content-changed" | "add-folder" | "remove-folder" | "new-file" | "init-open-file-list" | "update";
 
 interface EditorManager {
     editor: AceAjax.Editor;